@@ -0,0 +1,36 @@
+// adapters/bluesky.js
+// Bluesky (bsky.app) adapter.
+
+(function () {
+  const { metaContent, textOf, hrefOf, isMeaningfulTitle } = HorizonAdapters.helpers;
+
+  HorizonAdapters.register({
+    id: 'bluesky',
+    hosts: ['bsky.app'],
+    postSelector: '[data-testid^="feedItem-by-"], [data-testid^="postThreadItem-by-"]',
+
+    getPostId(el) {
+      // The open post of a thread only links to its reposted-by/liked-by pages
+      return hrefOf(el, 'a[href*="/post/"]').replace(/(\/post\/[^/?#]+).*$/, '$1');
+    },
+
+    getPostSnippet(el) {
+      return textOf(el, '[data-testid="postText"]');
+    },
+
+    extractTitle(doc, loc) {
+      if (this.getPageKind(loc) !== 'permalink') return '';
+      const description = metaContent(doc, 'meta[property="og:description"]');
+      return isMeaningfulTitle(description) ? description : textOf(doc, '[data-testid="postText"]');
+    },
+
+    getPageKind(loc) {
+      const path = loc.pathname.toLowerCase();
+      if (/^\/profile\/[^/]+\/post\//.test(path)) return 'permalink';
+      if (/^\/profile\/[^/]+\/?$/.test(path)) return 'profile';
+      if (path.startsWith('/search') || path.startsWith('/hashtag/')) return 'search';
+      if (path === '/' || path.startsWith('/feeds') || /^\/profile\/[^/]+\/(feed|lists)\//.test(path)) return 'feed';
+      return 'other';
+    }
+  });
+})();
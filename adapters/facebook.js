@@ -0,0 +1,58 @@
+// adapters/facebook.js
+// Facebook adapter. Feed units carry aria-posinset; role="article" alone also matches comments.
+
+(function () {
+  const { metaContent, textOf, hrefOf, isMeaningfulTitle } = HorizonAdapters.helpers;
+
+  // Links carry per-render tracking parameters (__cft__[0], __tn__) that
+  // would give the same post a new id every time the feed re-renders it
+  function stripTracking(href) {
+    if (!href) return '';
+    const url = new URL(href, 'https://www.facebook.com');
+    Array.from(url.searchParams.keys())
+      .filter(key => key.startsWith('__'))
+      .forEach(key => url.searchParams.delete(key));
+    return url.href;
+  }
+
+  HorizonAdapters.register({
+    id: 'facebook',
+    hosts: ['facebook.com'],
+    postSelector: 'div[aria-posinset], div[role="feed"] > div div[role="article"]',
+
+    getPostId(el) {
+      return stripTracking(
+        hrefOf(el, 'a[href*="/posts/"]') ||
+        hrefOf(el, 'a[href*="story_fbid="]') ||
+        hrefOf(el, 'a[href*="/videos/"]') ||
+        hrefOf(el, 'a[href*="/photo"]')
+      );
+    },
+
+    getPostSnippet(el) {
+      return textOf(el, '[data-ad-preview="message"]') ||
+             textOf(el, '[data-ad-comet-preview="message"]') ||
+             textOf(el, 'div[dir="auto"]');
+    },
+
+    extractTitle(doc, loc) {
+      if (this.getPageKind(loc) !== 'permalink') return '';
+      const description = metaContent(doc, 'meta[property="og:description"]');
+      if (isMeaningfulTitle(description)) return description;
+      const title = metaContent(doc, 'meta[property="og:title"]');
+      return isMeaningfulTitle(title) ? title : '';
+    },
+
+    getPageKind(loc) {
+      const path = loc.pathname.toLowerCase();
+      if (/\/(posts|videos|reel)\//.test(path) || /^\/(permalink|story|photo)(\.php)?/.test(path) || path.startsWith('/watch/live')) {
+        return 'permalink';
+      }
+      if (path === '/' || path.startsWith('/watch') || path.startsWith('/groups/feed') || path === '/home.php') return 'feed';
+      if (path.startsWith('/search/') || path.startsWith('/hashtag/')) return 'search';
+      if (/^\/(marketplace|messages|notifications|settings|gaming)(\/|$)/.test(path)) return 'other';
+      if (path.startsWith('/profile.php') || /^\/[^/]+\/?$/.test(path)) return 'profile';
+      return 'other';
+    }
+  });
+})();
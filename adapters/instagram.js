@@ -0,0 +1,43 @@
+// adapters/instagram.js
+// Instagram adapter.
+
+(function () {
+  const { cleanText, metaContent, textOf } = HorizonAdapters.helpers;
+
+  HorizonAdapters.register({
+    id: 'instagram',
+    hosts: ['instagram.com'],
+    postSelector: 'article',
+
+    getPostId(el) {
+      const link = el.querySelector('a[href*="/p/"], a[href*="/reel/"]');
+      return link ? link.getAttribute('href') : '';
+    },
+
+    getPostSnippet(el) {
+      return textOf(el, 'h1') || cleanText(el.querySelector('img[alt]')?.getAttribute('alt'));
+    },
+
+    getPostContentType(el) {
+      if (el.querySelector('video')) return 'video';
+      // Carousels render next/previous buttons rather than all images at once
+      if (el.querySelector('button[aria-label="Next"]')) return 'gallery';
+      return null;
+    },
+
+    extractTitle(doc) {
+      return metaContent(doc, 'meta[property="og:title"]') ||
+             cleanText(metaContent(doc, 'meta[property="og:description"]'));
+    },
+
+    getPageKind(loc) {
+      const path = loc.pathname.toLowerCase();
+      if (path === '/') return 'feed';
+      if (/^\/(p|reel|reels|tv)\//.test(path)) return 'permalink';
+      if (path.startsWith('/explore')) return 'search';
+      if (/^\/(accounts|direct|stories)\//.test(path)) return 'other';
+      if (/^\/[^/]+\/?$/.test(path)) return 'profile';
+      return 'other';
+    }
+  });
+})();
@@ -0,0 +1,39 @@
+// adapters/linkedin.js
+// LinkedIn adapter.
+
+(function () {
+  const { metaContent, textOf, hrefOf, isMeaningfulTitle } = HorizonAdapters.helpers;
+
+  HorizonAdapters.register({
+    id: 'linkedin',
+    hosts: ['linkedin.com'],
+    postSelector: 'div.feed-shared-update-v2, div[data-urn^="urn:li:activity:"]',
+
+    getPostId(el) {
+      return el.getAttribute('data-urn') ||
+             el.closest('[data-urn]')?.getAttribute('data-urn') ||
+             hrefOf(el, 'a[href*="/feed/update/"]');
+    },
+
+    getPostSnippet(el) {
+      return textOf(el, '.update-components-text') ||
+             textOf(el, '.feed-shared-update-v2__description') ||
+             textOf(el, '.update-components-article__title');
+    },
+
+    extractTitle(doc, loc) {
+      if (this.getPageKind(loc) !== 'permalink') return '';
+      const title = metaContent(doc, 'meta[property="og:title"]').replace(/\s*\|\s*LinkedIn$/i, '').trim();
+      return isMeaningfulTitle(title) ? title : textOf(doc, '.update-components-text');
+    },
+
+    getPageKind(loc) {
+      const path = loc.pathname.toLowerCase();
+      if (path.startsWith('/feed/update/') || path.startsWith('/posts/') || path.startsWith('/pulse/')) return 'permalink';
+      if (path === '/' || path.startsWith('/feed')) return 'feed';
+      if (path.startsWith('/search/')) return 'search';
+      if (/^\/(in|company|school)\//.test(path)) return 'profile';
+      return 'other';
+    }
+  });
+})();
@@ -0,0 +1,43 @@
+// adapters/mastodon.js
+// Mastodon adapter. Instances run on their own domains, so besides a few
+// large known hosts the adapter also recognises the web UI's root element.
+
+(function () {
+  const { metaContent, textOf, hrefOf, isMeaningfulTitle } = HorizonAdapters.helpers;
+
+  HorizonAdapters.register({
+    id: 'mastodon',
+    hosts: ['mastodon.social', 'mastodon.online', 'mstdn.social', 'mas.to'],
+    detect(doc) {
+      return !!doc.querySelector('#mastodon, body.app-body');
+    },
+    postSelector: 'div.status[data-id], div.detailed-status',
+
+    getPostId(el) {
+      if (el.getAttribute('data-id')) return el.getAttribute('data-id');
+      // The open post of a thread has no data-id; its timestamp links to /@user/<id>
+      const href = hrefOf(el, 'a.status__relative-time') || hrefOf(el, 'a.detailed-status__datetime');
+      const match = href.match(/\/(\d+)\/?$/);
+      return match ? match[1] : href;
+    },
+
+    getPostSnippet(el) {
+      return textOf(el, '.status__content__text') || textOf(el, '.status__content');
+    },
+
+    extractTitle(doc, loc) {
+      if (this.getPageKind(loc) !== 'permalink') return '';
+      const description = metaContent(doc, 'meta[property="og:description"]');
+      return isMeaningfulTitle(description) ? description : textOf(doc, '.detailed-status .status__content');
+    },
+
+    getPageKind(loc) {
+      const path = loc.pathname.toLowerCase();
+      if (/^\/@[^/]+\/\d+/.test(path) || /^\/users\/[^/]+\/statuses\//.test(path)) return 'permalink';
+      if (/^\/@[^/]+\/?$/.test(path)) return 'profile';
+      if (path.startsWith('/search') || path.startsWith('/tags/')) return 'search';
+      if (path === '/' || /^\/(home|public|explore|lists)/.test(path)) return 'feed';
+      return 'other';
+    }
+  });
+})();
@@ -0,0 +1,57 @@
+// adapters/reddit.js
+// Reddit adapter (new "shreddit" web components, with old selectors as fallback).
+
+(function () {
+  const { cleanText, metaContent, textOf, isMeaningfulTitle } = HorizonAdapters.helpers;
+
+  HorizonAdapters.register({
+    id: 'reddit',
+    hosts: ['reddit.com'],
+    postSelector: 'shreddit-post',
+
+    getPostId(el) {
+      return el.getAttribute('permalink') || el.getAttribute('id') || '';
+    },
+
+    getPostSnippet(el) {
+      return cleanText(el.getAttribute('post-title')) || textOf(el, '[slot="title"]');
+    },
+
+    getPostContentType(el) {
+      // shreddit-post declares its own type: text, image, gallery, video, link, ...
+      const postType = (el.getAttribute('post-type') || '').toLowerCase();
+      if (postType === 'video') return 'video';
+      if (postType === 'gallery' || postType === 'multi_media') return 'gallery';
+      return null;
+    },
+
+    extractTitle(doc, loc) {
+      // Remove "posted in r/..." suffix if present
+      const ogTitle = metaContent(doc, 'meta[property="og:title"]').replace(/\s*:\s*.*$/, '').trim();
+      if (isMeaningfulTitle(ogTitle)) return ogTitle;
+
+      const twitterTitle = metaContent(doc, 'meta[name="twitter:title"]');
+      if (isMeaningfulTitle(twitterTitle)) return twitterTitle;
+
+      // For individual posts, try to get post title from common containers
+      if (this.getPageKind(loc) === 'permalink') {
+        const text = textOf(doc, 'h1[data-testid="post-content"]') ||
+                     textOf(doc, 'h2[data-testid="post-content"]') ||
+                     textOf(doc, 'h3[data-testid="post-content"]') ||
+                     textOf(doc, 'a[data-testid="post-title"]') ||
+                     textOf(doc, '[slot="title"]');
+        if (text.length > 5) return text;
+      }
+      return '';
+    },
+
+    getPageKind(loc) {
+      const path = loc.pathname.toLowerCase();
+      if (path.includes('/comments/')) return 'permalink';
+      if (path.startsWith('/search') || /^\/r\/[^/]+\/search/.test(path)) return 'search';
+      if (/^\/(user|u)\//.test(path)) return 'profile';
+      if (path === '/' || /^\/(best|hot|new|top|rising)\/?$/.test(path) || /^\/r\/[^/]+\/?/.test(path)) return 'feed';
+      return 'other';
+    }
+  });
+})();
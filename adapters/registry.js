@@ -0,0 +1,157 @@
+// adapters/registry.js
+// Platform adapter registry for the content script.
+// Each platform lives in its own file under adapters/ and registers itself here.
+// Loaded before content_script.js (see manifest.json), so everything hangs off
+// a single global instead of ES module imports.
+//
+// An adapter looks like:
+//   {
+//     id: 'twitter',
+//     hosts: ['twitter.com', 'x.com'],       // hostname (or any subdomain) matches
+//     detect: (doc) => boolean,               // optional DOM check for self-hosted platforms
+//     postSelector: 'article[...]',           // feed posts that get their own dwell time
+//     getPostId: (el) => string,              // stable id for a post across re-renders
+//     getPostSnippet: (el) => string,         // visible title/text of a post
+//     getPostContentType: (el) => string|null,// optional, falls back to the shared heuristics
+//     extractTitle: (doc, loc) => string,     // page-level title/snippet, '' to fall back
+//     detectContentType: (doc, loc) => string|null, // optional, falls back to the shared heuristics
+//     getPageKind: (loc, doc) => 'feed' | 'permalink' | 'profile' | 'search' | 'other'
+//   }
+
+(function () {
+  const adapters = [];
+
+  // Titles that only name the page, not what the user is looking at
+  const NAVIGATION_TITLE_RE = /^(Home|Explore|Notifications|Messages|Profile|Search|Feed|Log in|Sign up)\b/i;
+
+  function cleanText(text, maxLength = 200) {
+    return (text || '').replace(/\s+/g, ' ').trim().substring(0, maxLength);
+  }
+
+  function metaContent(doc, selector) {
+    const meta = doc.querySelector(selector);
+    return meta && meta.content ? meta.content.trim() : '';
+  }
+
+  function textOf(root, selector) {
+    const el = root.querySelector(selector);
+    return el ? cleanText(el.textContent) : '';
+  }
+
+  function hrefOf(root, selector) {
+    const link = root.querySelector(selector);
+    return link ? link.getAttribute('href') || '' : '';
+  }
+
+  function isMeaningfulTitle(title) {
+    return !!title && title.length > 5 && !NAVIGATION_TITLE_RE.test(title);
+  }
+
+  function isMediaPlaying(media) {
+    return !media.paused && !media.ended && media.readyState >= 3;
+  }
+
+  // Playing media with sound, which can hold someone's attention without any
+  // input. Muted autoplay cannot, so it never outlasts the inactivity timeout.
+  function isMediaAudible(media) {
+    return isMediaPlaying(media) && !media.muted && media.volume > 0;
+  }
+
+  // Playing media that someone is plausibly watching or listening to. Muted
+  // media only counts when at least half of it is on screen, so a muted
+  // autoplaying ad scrolled half out of view does not.
+  function isMediaWatched(media) {
+    if (!isMediaPlaying(media)) return false;
+    if (isMediaAudible(media)) return true;
+    const rect = media.getBoundingClientRect();
+    const visibleHeight = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+    return rect.height > 0 && visibleHeight / rect.height >= 0.5;
+  }
+
+  // Shared content-type heuristics, used when an adapter has no rule of its own.
+  // `isVideo` decides which <video> elements make the content a video.
+  function detectContentTypeIn(root, galleryThreshold, isVideo = () => true) {
+    try {
+      if (Array.from(root.querySelectorAll('video')).some(isVideo)) return 'video';
+      if (root.querySelectorAll('img').length > galleryThreshold) return 'gallery';
+      const text = ((root.body ? root.body.innerText : root.innerText) || '').trim();
+      if (text.length > 3000) return 'long_read';
+      if (text.length > 800) return 'article';
+      return 'short_text';
+    } catch (err) {
+      return 'unknown';
+    }
+  }
+
+  // Fallback used for unknown hosts and whenever an adapter returns nothing
+  const genericAdapter = {
+    id: 'generic',
+    hosts: [],
+    postSelector: null,
+    extractTitle(doc) {
+      return metaContent(doc, 'meta[property="og:title"]') ||
+             cleanText(metaContent(doc, 'meta[name="description"]')) ||
+             doc.title ||
+             '';
+    },
+    detectContentType(doc) {
+      // A page is only "video" while a video is actually being watched
+      return detectContentTypeIn(doc, 10, isMediaWatched);
+    },
+    getPostContentType(el) {
+      return detectContentTypeIn(el, 1);
+    },
+    getPageKind() {
+      return 'other';
+    }
+  };
+
+  function register(adapter) {
+    if (!adapter || !adapter.id) {
+      console.error('[Horizon] Ignoring adapter without an id:', adapter);
+      return;
+    }
+    const existing = adapters.findIndex(a => a.id === adapter.id);
+    if (existing !== -1) {
+      adapters.splice(existing, 1);
+    }
+    adapters.push(adapter);
+  }
+
+  function matchesHost(adapter, hostname) {
+    return (adapter.hosts || []).some(host => hostname === host || hostname.endsWith(`.${host}`));
+  }
+
+  // Pick the adapter for a page: hostname match first, then DOM detection
+  // (for platforms like Mastodon that run on many independent hosts).
+  function forLocation(loc, doc) {
+    const hostname = (loc.hostname || '').toLowerCase();
+    const byHost = adapters.find(adapter => matchesHost(adapter, hostname));
+    if (byHost) return byHost;
+    const byDom = adapters.find(adapter => {
+      try {
+        return typeof adapter.detect === 'function' && adapter.detect(doc);
+      } catch (err) {
+        return false;
+      }
+    });
+    return byDom || genericAdapter;
+  }
+
+  globalThis.HorizonAdapters = {
+    register,
+    forLocation,
+    list: () => adapters.slice(),
+    generic: genericAdapter,
+    helpers: {
+      cleanText,
+      metaContent,
+      textOf,
+      hrefOf,
+      isMeaningfulTitle,
+      isMediaAudible,
+      isMediaWatched,
+      detectContentTypeIn
+    }
+  };
+})();
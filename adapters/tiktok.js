@@ -0,0 +1,48 @@
+// adapters/tiktok.js
+// TikTok adapter. Everything in the feed is a video.
+
+(function () {
+  const { metaContent, textOf, hrefOf, isMeaningfulTitle } = HorizonAdapters.helpers;
+
+  HorizonAdapters.register({
+    id: 'tiktok',
+    hosts: ['tiktok.com'],
+    postSelector: '[data-e2e="recommend-list-item-container"], [data-e2e="search_top-item"], article[data-e2e="recommend-list-item-container"]',
+
+    getPostId(el) {
+      const href = hrefOf(el, 'a[href*="/video/"]');
+      if (href) return href;
+      // For You items do not link to their video; the player is named after it
+      const player = el.querySelector('[id^="xgwrapper-"]');
+      return player ? `video:${player.id.split('-').pop()}` : '';
+    },
+
+    getPostSnippet(el) {
+      return textOf(el, '[data-e2e="video-desc"]') || textOf(el, '[data-e2e="search-card-desc"]');
+    },
+
+    getPostContentType() {
+      return 'video';
+    },
+
+    extractTitle(doc, loc) {
+      if (this.getPageKind(loc) !== 'permalink') return '';
+      const desc = textOf(doc, '[data-e2e="browse-video-desc"]') ||
+                   metaContent(doc, 'meta[property="og:description"]');
+      return isMeaningfulTitle(desc) ? desc : '';
+    },
+
+    detectContentType() {
+      return 'video';
+    },
+
+    getPageKind(loc) {
+      const path = loc.pathname.toLowerCase();
+      if (/^\/@[^/]+\/(video|photo)\//.test(path)) return 'permalink';
+      if (path.startsWith('/search') || path.startsWith('/tag/')) return 'search';
+      if (/^\/@[^/]+\/?$/.test(path)) return 'profile';
+      if (path === '/' || /^\/(foryou|following|explore|friends)\/?$/.test(path)) return 'feed';
+      return 'other';
+    }
+  });
+})();
@@ -0,0 +1,53 @@
+// adapters/twitter.js
+// Twitter / X adapter.
+
+(function () {
+  const { cleanText, metaContent, textOf, isMeaningfulTitle } = HorizonAdapters.helpers;
+
+  HorizonAdapters.register({
+    id: 'twitter',
+    hosts: ['twitter.com', 'x.com'],
+    postSelector: 'article[data-testid="tweet"]',
+
+    getPostId(el) {
+      // The timestamp link is the tweet's own permalink (other links may point at quoted tweets)
+      const link = el.querySelector('a[href*="/status/"] time')?.closest('a') ||
+                   el.querySelector('a[href*="/status/"]');
+      return link ? link.getAttribute('href') : '';
+    },
+
+    getPostSnippet(el) {
+      return textOf(el, '[data-testid="tweetText"]');
+    },
+
+    extractTitle(doc, loc) {
+      // Try meta tags first (most reliable, TOS-compliant)
+      // Remove site name suffix if present; only use if it's meaningful (not just "Home / X")
+      const ogTitle = metaContent(doc, 'meta[property="og:title"]')
+        .replace(/\s*\/\s*X$|\s*on X$|\s*on Twitter$/i, '')
+        .trim();
+      if (isMeaningfulTitle(ogTitle)) return ogTitle;
+
+      const twitterTitle = metaContent(doc, 'meta[name="twitter:title"]');
+      if (isMeaningfulTitle(twitterTitle)) return twitterTitle;
+
+      // For individual post pages, use the text of the main tweet
+      if (this.getPageKind(loc) === 'permalink') {
+        const tweet = doc.querySelector('article[data-testid="tweet"]');
+        const text = tweet ? textOf(tweet, '[data-testid="tweetText"]') : '';
+        if (text.length > 5) return cleanText(text);
+      }
+      return '';
+    },
+
+    getPageKind(loc) {
+      const path = loc.pathname.toLowerCase();
+      if (path.includes('/status/')) return 'permalink';
+      if (path === '/' || path === '/home' || path.startsWith('/i/lists/')) return 'feed';
+      if (path.startsWith('/search') || path.startsWith('/explore') || path.startsWith('/hashtag/')) return 'search';
+      if (/^\/(i|settings|messages|notifications|compose)(\/|$)/.test(path)) return 'other';
+      if (/^\/[^/]+\/?(with_replies|media|likes|highlights)?\/?$/.test(path)) return 'profile';
+      return 'other';
+    }
+  });
+})();
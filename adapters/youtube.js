@@ -0,0 +1,48 @@
+// adapters/youtube.js
+// YouTube adapter. Feed posts are the video tiles on home, subscriptions and search;
+// the recommendations next to a video are not, so watch time goes to the video itself.
+
+(function () {
+  const { cleanText, metaContent, textOf, hrefOf } = HorizonAdapters.helpers;
+
+  HorizonAdapters.register({
+    id: 'youtube',
+    hosts: ['youtube.com'],
+    postSelector: 'ytd-rich-item-renderer, ytd-video-renderer, ytd-reel-item-renderer',
+
+    getPostId(el) {
+      const href = hrefOf(el, 'a#video-title-link') || hrefOf(el, 'a#thumbnail') || hrefOf(el, 'a[href*="/shorts/"]');
+      // Drop playlist/index parameters so the same video maps to one id
+      return href.replace(/&.*$/, '');
+    },
+
+    getPostSnippet(el) {
+      return textOf(el, '#video-title') || textOf(el, 'h3');
+    },
+
+    getPostContentType() {
+      return 'video';
+    },
+
+    extractTitle(doc, loc) {
+      if (this.getPageKind(loc) !== 'permalink') return '';
+      return textOf(doc, 'h1.ytd-watch-metadata') ||
+             metaContent(doc, 'meta[property="og:title"]') ||
+             metaContent(doc, 'meta[name="title"]') ||
+             cleanText(doc.title.replace(/\s*-\s*YouTube$/i, ''));
+    },
+
+    detectContentType(doc, loc) {
+      return this.getPageKind(loc) === 'permalink' ? 'video' : null;
+    },
+
+    getPageKind(loc) {
+      const path = loc.pathname.toLowerCase();
+      if (path === '/watch' || path.startsWith('/shorts/') || path.startsWith('/live/')) return 'permalink';
+      if (path === '/results') return 'search';
+      if (path === '/' || path.startsWith('/feed/')) return 'feed';
+      if (/^\/(@|channel\/|c\/|user\/)/.test(path)) return 'profile';
+      return 'other';
+    }
+  });
+})();
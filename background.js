@@ -1,28 +1,54 @@
 // background.js  — now safe for MV3 service worker
-import { SimpleClassifier } from './simple-classifier.js';
-import { pipeline, env } from './libs/transformers/transformers.min.js';
+import { SimpleClassifier, MODEL_STORAGE_KEY } from './simple-classifier.js';
+import { EmbeddingClassifier, EMBEDDING_MODEL_STORAGE_KEY } from './embedding-classifier.js';
+import { SentimentModel, SENTIMENT_MODEL_STORAGE_KEY } from './sentiment-model.js';
+import { EmotionClassifier, EMOTION_MODEL_STORAGE_KEY } from './emotion-classifier.js';
+import { localDayKey, addDays } from './time-buckets.js';
+import {
+  createEvent,
+  createDayRecord,
+  isUniquePost,
+  UNCERTAIN_TOPIC,
+  UNSUPPORTED_LANGUAGE_TOPIC
+} from './day-aggregates.js';
+import {
+  appendEvents,
+  applyInferenceResults,
+  getDaily,
+  getDailyRange,
+  getEventsForDayRange,
+  getSamplesForDayRange,
+  getMeta,
+  setMeta,
+  getRollups,
+  relabelEvents,
+  getStoreCounts,
+  exportAll,
+  clearAll
+} from './event-store.js';
+import { normalizeRangeQuery, hasFilters, summarizeDailyRecords, summarizeEvents } from './range-query.js';
+import { runMigrations, getSchemaStatus } from './schema.js';
+import { getRetentionPolicy, applyRetention, weekRollupKey, monthRollupKey } from './retention.js';
+import {
+  OPEN_SESSIONS_KEY,
+  applySessionActivity,
+  closeStaleSessions,
+  closedSessionKeys,
+  appendClosedSessions,
+  getSessionsForDay,
+  getSessionGapMs,
+  sessionKeysForEvents,
+  addSessionTopics
+} from './sessions.js';
+import { WriteQueue } from './write-queue.js';
+import { getEmbeddingCacheStats } from './embedding-cache.js';
+import { createInferenceRunner, hashText, embedPhrases } from './inference-queue.js';
+import { CUSTOM_TOPICS_KEY, getCustomTopics, matchCustomTopic } from './custom-topics.js';
+import { REVIEW_DAYS, addCorrection, buildReviewItems } from './topic-corrections.js';
+import { detectLanguage, isLanguageSupported, UNDETERMINED_LANGUAGE } from './language-id.js';
+import { INTERESTS_META_KEY, RECENT_DAYS, WINDOW_DAYS, discoverInterests } from './interest-clusters.js';
 
 let classifierCache = null;
-let embeddingPipelinePromise = null;
-let embeddingCacheLoaded = false;
-const embeddingCache = new Map();
-const embeddingCacheOrder = [];
-
-const EMBEDDING_CACHE_KEY = 'embedding_cache_v1';
-const MAX_EMBEDDING_CACHE_ENTRIES = 20;
-const LOCAL_MODEL_ROOT = chrome.runtime.getURL('libs/models');
-const LOCAL_MODEL_PATH = chrome.runtime.getURL('libs/models/all-MiniLM-L6-v2');
-const LOCAL_WASM_PATH = chrome.runtime.getURL('libs/onnxruntime/');
-
-// Configure transformers.js to operate fully offline with local assets
-env.allowRemoteModels = false;
-env.allowLocalModels = true;
-env.useBrowserCache = false;
-env.localModelPath = LOCAL_MODEL_ROOT;
-env.backends.onnx.wasm.wasmPaths = LOCAL_WASM_PATH;
-env.backends.onnx.wasm.numThreads = 1;
-env.backends.onnx.wasm.simd = true;
-
 async function loadClassifier() {
   if (!classifierCache) {
     try {
@@ -40,227 +66,311 @@ async function loadClassifier() {
   return classifierCache;
 }
 
-async function classifyText(text) {
-  try {
-    const classifier = await loadClassifier();
-    if (!classifier) {
-      console.log('[Horizon] Classifier not loaded - model may not be trained');
-      return 'unknown'; // Return default if model not trained
+let embeddingClassifierCache = null;
+async function loadEmbeddingClassifier() {
+  if (!embeddingClassifierCache) {
+    try {
+      embeddingClassifierCache = new EmbeddingClassifier();
+      const loaded = await embeddingClassifierCache.load();
+      if (!loaded) {
+        embeddingClassifierCache = null;
+      }
+    } catch (error) {
+      console.error('[Horizon] Error loading embedding classifier:', error);
+      embeddingClassifierCache = null;
     }
-
-    const result = classifier.classify(text);
-    const category = result.category || result;
-    console.log('[Horizon] Classification result:', { text: text.substring(0, 50), result, category });
-    return category;
-  } catch (error) {
-    console.error('[Horizon] Classification error:', error);
-    return 'unknown';
   }
+  return embeddingClassifierCache;
 }
 
-async function loadEmbeddingPipeline() {
-  if (!embeddingPipelinePromise) {
-    embeddingPipelinePromise = pipeline('feature-extraction', LOCAL_MODEL_PATH);
+let sentimentModelCache = null;
+async function loadSentimentModel() {
+  if (!sentimentModelCache) {
+    try {
+      sentimentModelCache = new SentimentModel();
+      if (!(await sentimentModelCache.load())) {
+        sentimentModelCache = null;
+      }
+    } catch (error) {
+      console.error('[Horizon] Error loading sentiment model:', error);
+      sentimentModelCache = null;
+    }
   }
-  return embeddingPipelinePromise;
+  return sentimentModelCache;
 }
 
-async function hashText(text) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(text);
-  const digest = await crypto.subtle.digest('SHA-256', data);
-  return Array.from(new Uint8Array(digest))
-    .map((byte) => byte.toString(16).padStart(2, '0'))
-    .join('');
+let emotionClassifierCache = null;
+async function loadEmotionClassifier() {
+  if (!emotionClassifierCache) {
+    try {
+      emotionClassifierCache = new EmotionClassifier();
+      if (!(await emotionClassifierCache.load())) {
+        emotionClassifierCache = null;
+      }
+    } catch (error) {
+      console.error('[Horizon] Error loading emotion classifier:', error);
+      emotionClassifierCache = null;
+    }
+  }
+  return emotionClassifierCache;
 }
 
-async function loadEmbeddingCacheFromStorage() {
-  if (embeddingCacheLoaded) {
-    return;
+// Embedded examples of the user's custom topics ([{ name, vectors }]),
+// built on first use after the topics change
+let customTopicPrototypes = null;
+function loadCustomTopicPrototypes() {
+  if (!customTopicPrototypes) {
+    customTopicPrototypes = (async () => {
+      const topics = (await getCustomTopics()).filter(topic => topic.examples.length > 0);
+      const embeddings = await embedPhrases(topics.flatMap(topic => topic.examples));
+      let offset = 0;
+      return topics.map(topic => {
+        const vectors = embeddings.slice(offset, offset + topic.examples.length).filter(Boolean);
+        offset += topic.examples.length;
+        return { name: topic.name, vectors };
+      });
+    })().catch((error) => {
+      customTopicPrototypes = null; // try again with the next title
+      throw error;
+    });
   }
+  return customTopicPrototypes;
+}
+
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.5;
+
+function getConfidenceThreshold(settings) {
+  const threshold = Number(settings?.confidenceThreshold);
+  return Number.isFinite(threshold) && threshold >= 0 && threshold <= 1 ? threshold : DEFAULT_CONFIDENCE_THRESHOLD;
+}
+
+// Titles in a language Naive Bayes was not trained on get
+// UNSUPPORTED_LANGUAGE_TOPIC. A title close to an example of a custom topic
+// gets that topic. Otherwise classify with the embedding head when it is
+// selected, trained and the title has an embedding, or else with Naive
+// Bayes. MiniLM is an English model, so only English (and undetermined)
+// titles are matched by embedding. Titles classified below the confidence
+// threshold get UNCERTAIN_TOPIC; the predicted topic and its confidence are
+// kept either way.
+async function classifyText(text, embedding = null) {
   try {
-    const stored = await chrome.storage.local.get([EMBEDDING_CACHE_KEY]);
-    const entries = stored[EMBEDDING_CACHE_KEY]?.entries;
-    if (Array.isArray(entries)) {
-      for (const entry of entries) {
-        if (entry.hash && Array.isArray(entry.embedding)) {
-          embeddingCache.set(entry.hash, entry.embedding);
-          embeddingCacheOrder.push(entry.hash);
+    const language = detectLanguage(text);
+    const classifier = await loadClassifier();
+    if (classifier && !isLanguageSupported(language, classifier.languages)) {
+      console.log('[Horizon] Unsupported title language:', { text: text.substring(0, 50), language });
+      return { topic: UNSUPPORTED_LANGUAGE_TOPIC, predictedTopic: null, confidence: null };
+    }
+    const english = language === 'en' || language === UNDETERMINED_LANGUAGE;
+
+    if (embedding && english) {
+      try {
+        const match = matchCustomTopic(embedding, await loadCustomTopicPrototypes());
+        if (match) {
+          console.log('[Horizon] Custom topic match:', { text: text.substring(0, 50), ...match });
+          return { topic: match.topic, predictedTopic: match.topic, confidence: Number(match.similarity.toFixed(4)) };
         }
+      } catch (error) {
+        console.error('[Horizon] Custom topic matching failed:', error);
       }
     }
-  } catch (error) {
-    console.error('[Horizon] Failed to load embedding cache:', error);
-  } finally {
-    embeddingCacheLoaded = true;
-  }
-}
 
-async function persistEmbeddingCache() {
-  const entries = embeddingCacheOrder.map((hash) => ({
-    hash,
-    embedding: embeddingCache.get(hash)
-  }));
-  try {
-    await chrome.storage.local.set({
-      [EMBEDDING_CACHE_KEY]: {
-        version: 1,
-        entries
+    const { settings } = await chrome.storage.local.get(['settings']);
+    let result = null;
+    if (settings?.classifierMode === 'embedding' && embedding && english) {
+      const embeddingClassifier = await loadEmbeddingClassifier();
+      if (embeddingClassifier && embeddingClassifier.dims === embedding.length) {
+        result = embeddingClassifier.classify(embedding);
       }
-    });
+    }
+    if (!result) {
+      if (!classifier) {
+        console.log('[Horizon] Classifier not loaded - model may not be trained');
+        return { topic: 'unknown', predictedTopic: null, confidence: null }; // Return default if model not trained
+      }
+      result = classifier.classify(text);
+    }
+
+    const confident = result.confidence >= getConfidenceThreshold(settings);
+    const classification = {
+      topic: confident ? result.category : UNCERTAIN_TOPIC,
+      predictedTopic: result.category,
+      confidence: Number(result.confidence.toFixed(4))
+    };
+    console.log('[Horizon] Classification result:', { text: text.substring(0, 50), ...classification });
+    return classification;
   } catch (error) {
-    console.error('[Horizon] Failed to persist embedding cache:', error);
+    console.error('[Horizon] Classification error:', error);
+    return { topic: 'unknown', predictedTopic: null, confidence: null };
   }
 }
 
-async function rememberEmbedding(hash, embedding) {
-  embeddingCache.set(hash, embedding);
-  const existingIndex = embeddingCacheOrder.indexOf(hash);
-  if (existingIndex !== -1) {
-    embeddingCacheOrder.splice(existingIndex, 1);
-  }
-  embeddingCacheOrder.push(hash);
-  while (embeddingCacheOrder.length > MAX_EMBEDDING_CACHE_ENTRIES) {
-    const oldest = embeddingCacheOrder.shift();
-    if (oldest) {
-      embeddingCache.delete(oldest);
+// Title hash, language, sentiment and emotion of an engagement. These are
+// cheap enough to score right away (topics are deferred). Titles in a
+// language a model was not trained on are left unscored, and so is a title
+// that fails to score, so its time is still stored.
+async function scoreEngagementTitle(data) {
+  const unscored = { titleHash: null, sentiment: null, emotion: null, language: null };
+  try {
+    // The title hash lets repeat views of the same post be recognized
+    const titleHash = data.title ? await hashText(data.title) : null;
+    if (!data.classify || !data.title) {
+      return { ...unscored, titleHash };
     }
+    const language = detectLanguage(data.title);
+    const sentimentModel = await loadSentimentModel();
+    const score = sentimentModel && isLanguageSupported(language, sentimentModel.languages)
+      ? sentimentModel.score(data.title)
+      : null;
+    const emotionClassifier = await loadEmotionClassifier();
+    const emotion = emotionClassifier && isLanguageSupported(language, emotionClassifier.languages)
+      ? emotionClassifier.classify(data.title).category
+      : null;
+    return { titleHash, sentiment: score === null ? null : Number(score.toFixed(3)), emotion, language };
+  } catch (error) {
+    console.error('[Horizon] Failed to score title; storing it unscored:', error);
+    return unscored;
   }
-  await persistEmbeddingCache();
 }
 
-async function getEmbedding(text) {
-  const normalized = typeof text === 'string' ? text.trim() : '';
-  if (!normalized) {
-    return { embedding: null, hash: null };
-  }
+// Apply a batch of queued mutations in one IndexedDB transaction (events
+// plus their materialized daily aggregates) and one chrome.storage write
+// for sessions. Items are { kind: 'engagement', data, gapMs },
+// { kind: 'media', data }, { kind: 'close_sessions', gapMs } or
+// { kind: 'inference_results', results }. An item that fails is logged and
+// left out, and its error returned in its place (see write-queue.js), so
+// the rest of the batch is still written.
+async function processWriteBatch(items) {
+  await storageReady;
 
-  await loadEmbeddingCacheFromStorage();
-  const hash = await hashText(normalized);
+  const events = [];
+  const needsInference = [];
+  const inferenceResults = [];
+  const stored = await chrome.storage.local.get([OPEN_SESSIONS_KEY]);
+  const openSessions = stored[OPEN_SESSIONS_KEY] || {};
+  const closedSessions = [];
+  let sessionsChanged = false;
 
-  if (embeddingCache.has(hash)) {
-    return { embedding: embeddingCache.get(hash), hash };
-  }
+  const engagements = [];
 
-  try {
-    const extractor = await loadEmbeddingPipeline();
-    const result = await extractor(normalized, {
-      pooling: 'mean',
-      normalize: true
-    });
-    const tensorData = Array.isArray(result)
-      ? result
-      : Array.from(result.data ?? []);
-    const embeddingVector = tensorData.map((value) =>
-      Number(Number(value).toFixed(6))
-    );
-
-    if (!embeddingVector.length) {
-      return { embedding: null, hash: null };
+  const results = new Array(items.length).fill(undefined);
+  for (const [index, item] of items.entries()) {
+    try {
+      if (item.kind === 'engagement') {
+        const scores = await scoreEngagementTitle(item.data);
+        const event = createEvent('engagement', { ...item.data, ...scores });
+        events.push(event);
+        engagements.push({ item, event });
+        if (item.data.classify && event.title) {
+          needsInference.push(event);
+        }
+      } else if (item.kind === 'media') {
+        events.push(createEvent('media', item.data));
+      } else if (item.kind === 'close_sessions') {
+        const closed = closeStaleSessions(openSessions, item.gapMs);
+        closedSessions.push(...closed);
+        sessionsChanged = sessionsChanged || closed.length > 0;
+      } else if (item.kind === 'inference_results') {
+        inferenceResults.push(...item.results);
+      }
+    } catch (error) {
+      console.error(`[Horizon] Dropping queued ${item.kind} update:`, error);
+      results[index] = error;
     }
-
-    await rememberEmbedding(hash, embeddingVector);
-    return { embedding: embeddingVector, hash };
-  } catch (error) {
-    console.error('[Horizon] Embedding error:', error);
-    return { embedding: null, hash: null };
   }
-}
 
-// Store engagement data
-async function storeEngagement(data) {
-  const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-  const key = `day_${today}`;
-  
-  // Get existing data for today
-  const result = await chrome.storage.local.get([key]);
-  const existing = result[key] || {
-    day: today,
-    byDomain: {},
-    byContentType: {},
-    byTopic: {},
-    byTopicCounts: {},
-    totalMs: 0,
-    embeddingSamples: []
-  };
-  
-  // Initialize byTopic if not present (for backward compatibility)
-  if (!existing.byTopic) {
-    existing.byTopic = {};
+  if (events.length > 0) {
+    await appendEvents(events, needsInference);
   }
-  if (!existing.byTopicCounts) {
-    existing.byTopicCounts = {};
+  // Sessions count posts only once appendEvents has recognized repeat views
+  for (const { item, event } of engagements) {
+    closedSessions.push(...applySessionActivity(openSessions, {
+      ...item.data,
+      isNewPost: isUniquePost(event)
+    }, item.gapMs));
+    sessionsChanged = true;
   }
-  if (!Array.isArray(existing.embeddingSamples)) {
-    existing.embeddingSamples = [];
+  if (needsInference.length > 0) {
+    runInference();
   }
-  
-  // Update domain
-  const domain = data.domain || 'unknown';
-  existing.byDomain[domain] = (existing.byDomain[domain] || 0) + data.deltaMs;
-  
-  // Update content type
-  const contentType = data.contentType || 'unknown';
-  existing.byContentType[contentType] = (existing.byContentType[contentType] || 0) + data.deltaMs;
-  
-  // Update topic classification if available
-  if (data.topic) {
-    const topic = data.topic;
-    existing.byTopic[topic] = (existing.byTopic[topic] || 0) + data.deltaMs;
-    console.log(`[Horizon] Updated topic ${topic}: ${existing.byTopic[topic]}ms total`);
-    existing.byTopicCounts[topic] = (existing.byTopicCounts[topic] || 0) + 1;
+
+  const classified = inferenceResults.length > 0 ? await applyInferenceResults(inferenceResults) : [];
+  for (const event of classified) {
+    console.log(`[Horizon] Topic ${event.topic}: +${event.deltaMs}ms`);
   }
-  
-  if (Array.isArray(data.embedding) && data.embedding.length > 0) {
-    const sample = {
-      domain,
-      contentType,
-      topic: data.topic || null,
-      hash: data.embeddingHash || null,
-      embedding: data.embedding,
-      capturedAt: data.capturedAt
-    };
-    existing.embeddingSamples.push(sample);
-    if (existing.embeddingSamples.length > 50) {
-      existing.embeddingSamples = existing.embeddingSamples.slice(-50);
+
+  // Closed-session lists touched by this batch: new closed sessions, and
+  // topics classified after the fact crediting their sessions
+  const updates = {};
+  const listKeys = closedSessionKeys(closedSessions).concat(sessionKeysForEvents(classified));
+  if (listKeys.length > 0) {
+    const lists = await chrome.storage.local.get(listKeys);
+    for (const key of addSessionTopics(openSessions, lists, classified)) {
+      if (key === OPEN_SESSIONS_KEY) {
+        sessionsChanged = true;
+      } else {
+        updates[key] = lists[key];
+      }
     }
+    appendClosedSessions(lists, closedSessions);
+    for (const key of closedSessionKeys(closedSessions)) {
+      updates[key] = lists[key];
+    }
+  }
+  if (sessionsChanged) {
+    updates[OPEN_SESSIONS_KEY] = openSessions;
+  }
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage.local.set(updates);
   }
+  console.log(`[Horizon] Wrote ${items.length} queued update(s) in one batch`);
+  return results;
+}
 
-  // Update total
-  existing.totalMs += data.deltaMs;
-  
-  // Save back
-  await chrome.storage.local.set({ [key]: existing });
-  
-  console.log(`[Horizon] Stored ${data.deltaMs}ms for ${domain}, total today: ${existing.totalMs}ms`);
+// Stored data is brought up to the current schema before anything is written
+const storageReady = runMigrations();
+
+// Single write pipeline: every stored-data mutation goes through here
+const writeQueue = new WriteQueue({ processBatch: processWriteBatch, windowMs: 250 });
+
+// Don't lose the open batch when Chrome suspends the service worker
+chrome.runtime.onSuspend.addListener(() => {
+  writeQueue.flush();
+});
+
+// Topics and embeddings are filled in after the engagement is stored
+const runInference = createInferenceRunner({
+  classify: classifyText,
+  applyResults: results => writeQueue.enqueue({ kind: 'inference_results', results })
+});
+
+// Pick up jobs left over from before the worker was last suspended
+storageReady.then(() => runInference());
+
+// Store engagement data (and advance its domain's session)
+async function storeEngagement(data, sessionGapMs) {
+  data.capturedAt = data.capturedAt || Date.now();
+  await writeQueue.enqueue({ kind: 'engagement', data, gapMs: sessionGapMs });
+  console.log(`[Horizon] Stored ${data.deltaMs}ms for ${data.domain || 'unknown'}`);
+}
+
+// Store media watch time in the day record
+async function storeMediaTime(data) {
+  data.capturedAt = data.capturedAt || Date.now();
+  await writeQueue.enqueue({ kind: 'media', data });
 }
 
 // Get today's summary
-async function getTodaySummary() {
-  const today = new Date().toISOString().slice(0, 10);
-  const key = `day_${today}`;
-  
-  const result = await chrome.storage.local.get([key]);
-  const summary = result[key] || {
-    day: today,
-    byDomain: {},
-    byContentType: {},
-    byTopic: {},
-    byTopicCounts: {},
-    totalMs: 0,
-    embeddingSamples: []
-  };
-  
-  // Ensure byTopic exists for backward compatibility
-  if (!summary.byTopic) {
-    summary.byTopic = {};
-  }
-  if (!summary.byTopicCounts) {
-    summary.byTopicCounts = {};
-  }
-  if (!Array.isArray(summary.embeddingSamples)) {
-    summary.embeddingSamples = [];
-  }
+async function getTodaySummary(sessionGapMs) {
+  // Close idle sessions and make sure queued writes are visible first. The
+  // summary is still worth showing if closing sessions fails.
+  writeQueue.enqueue({ kind: 'close_sessions', gapMs: sessionGapMs })
+    .catch(error => console.error('[Horizon] Failed to close idle sessions:', error));
+  await writeQueue.flush();
+
+  const today = localDayKey(Date.now());
+  const stored = await getDaily(today);
+  const summary = stored || createDayRecord(today);
+  summary.sessions = await getSessionsForDay(today);
   
   // Debug logging
   console.log('[Horizon] Summary requested:', {
@@ -273,6 +383,241 @@ async function getTodaySummary() {
   return summary;
 }
 
+// Recently classified titles for the review list, least confident first,
+// and the topics they can be corrected to
+async function getReviewItems() {
+  await writeQueue.flush();
+  const today = localDayKey();
+  const events = await getEventsForDayRange(addDays(today, -(REVIEW_DAYS - 1)), today);
+  const classifier = await loadClassifier();
+  const topics = new Set([
+    ...(classifier?.categories || []),
+    ...(await getCustomTopics()).map(topic => topic.name)
+  ]);
+  topics.delete(UNCERTAIN_TOPIC);
+  topics.delete('unknown');
+  return { items: buildReviewItems(events), topics: Array.from(topics).sort() };
+}
+
+// Apply a user's topic correction for a title: relabel its events, keep the
+// correction for retraining and teach it to Naive Bayes right away
+async function correctTopic({ title, eventIds, topic, previousTopic }) {
+  await writeQueue.flush();
+  const relabeled = await relabelEvents(eventIds, topic);
+  await addCorrection({ title, topic, previousTopic: previousTopic || null });
+  const classifier = await loadClassifier();
+  if (classifier) {
+    classifier.addExample(title, topic);
+    await classifier.save({ version: 1 });
+  }
+  console.log(`[Horizon] Corrected ${relabeled.length} event(s) to ${topic}`);
+  return relabeled.length;
+}
+
+// Merged aggregates and a time series for a date range (see range-query.js)
+async function getRangeSummary(rawQuery) {
+  const query = normalizeRangeQuery(rawQuery);
+  await writeQueue.flush();
+  if (hasFilters(query)) {
+    return summarizeEvents(await getEventsForDayRange(query.from, query.to), query);
+  }
+  const rollups = query.granularity === 'week'
+    ? await getRollups(weekRollupKey(query.from), weekRollupKey(query.to))
+    : await getRollups(monthRollupKey(query.from), monthRollupKey(query.to));
+  return summarizeDailyRecords(await getDailyRange(query.from, query.to), query, rollups);
+}
+
+// Bytes used by chrome.storage and the origin's IndexedDB, plus record counts
+async function getStorageUsage() {
+  const [storageBytes, estimate, counts] = await Promise.all([
+    chrome.storage.local.getBytesInUse(null),
+    navigator.storage?.estimate ? navigator.storage.estimate() : Promise.resolve({}),
+    getStoreCounts()
+  ]);
+  return {
+    storageBytes,
+    originBytes: estimate.usage ?? null,
+    quotaBytes: estimate.quota ?? null,
+    counts
+  };
+}
+
+// System idle / lock state from chrome.idle, relayed to content scripts so
+// they can pause accumulation. The detection interval follows the same
+// inactivity timeout the content scripts use (chrome.idle needs >= 15s).
+const DEFAULT_IDLE_TIMEOUT_SEC = 60;
+const MIN_IDLE_DETECTION_SEC = 15;
+let systemIdleState = 'active';
+
+function getIdleDetectionInterval(settings) {
+  const timeout = Number(settings?.idleTimeoutSec) || DEFAULT_IDLE_TIMEOUT_SEC;
+  return Math.max(MIN_IDLE_DETECTION_SEC, Math.round(timeout));
+}
+
+async function configureIdleDetection() {
+  if (!chrome.idle) {
+    return;
+  }
+  try {
+    const { settings } = await chrome.storage.local.get(['settings']);
+    const interval = getIdleDetectionInterval(settings);
+    chrome.idle.setDetectionInterval(interval);
+    systemIdleState = await chrome.idle.queryState(interval);
+  } catch (error) {
+    console.error('[Horizon] Failed to configure idle detection:', error);
+  }
+}
+
+async function broadcastIdleState(state) {
+  try {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      // Tabs without our content script reject the message; that's expected
+      chrome.tabs.sendMessage(tab.id, { type: 'idle_state', state }).catch(() => {});
+    }
+  } catch (error) {
+    console.error('[Horizon] Failed to broadcast idle state:', error);
+  }
+}
+
+if (chrome.idle) {
+  chrome.idle.onStateChanged.addListener((state) => {
+    console.log('[Horizon] System idle state:', state);
+    systemIdleState = state;
+    broadcastIdleState(state);
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[MODEL_STORAGE_KEY]) {
+    classifierCache = null; // retrained or cleared; reload on next use
+  }
+  if (area === 'local' && changes[EMBEDDING_MODEL_STORAGE_KEY]) {
+    embeddingClassifierCache = null;
+  }
+  if (area === 'local' && changes[SENTIMENT_MODEL_STORAGE_KEY]) {
+    sentimentModelCache = null;
+  }
+  if (area === 'local' && changes[EMOTION_MODEL_STORAGE_KEY]) {
+    emotionClassifierCache = null;
+  }
+  if (area === 'local' && changes[CUSTOM_TOPICS_KEY]) {
+    customTopicPrototypes = null;
+  }
+  if (area === 'local' && changes.settings) {
+    configureIdleDetection();
+    const before = getRetentionPolicy(changes.settings.oldValue);
+    const after = getRetentionPolicy(changes.settings.newValue);
+    if (before.rawDays !== after.rawDays || before.dailyDays !== after.dailyDays) {
+      runRetention();
+    }
+  }
+});
+
+configureIdleDetection();
+
+// Sessions end after a quiet gap even if no further message arrives for that
+// domain, so sweep open sessions periodically.
+const SESSION_SWEEP_ALARM = 'horizon-close-sessions';
+
+chrome.alarms.create(SESSION_SWEEP_ALARM, { periodInMinutes: 5 });
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== SESSION_SWEEP_ALARM) {
+    return;
+  }
+  try {
+    const { settings } = await chrome.storage.local.get(['settings']);
+    await writeQueue.enqueue({ kind: 'close_sessions', gapMs: getSessionGapMs(settings) });
+  } catch (error) {
+    console.error('[Horizon] Failed to close idle sessions:', error);
+  }
+  runInference(); // retry jobs whose batch failed
+});
+
+// Old history is compacted once a day (see retention.js). Only create the
+// alarm if it is missing, so service-worker restarts don't push it back.
+const RETENTION_ALARM = 'horizon-retention';
+
+async function runRetention() {
+  try {
+    await storageReady;
+    await writeQueue.flush();
+    const { settings } = await chrome.storage.local.get(['settings']);
+    return await applyRetention(getRetentionPolicy(settings));
+  } catch (error) {
+    console.error('[Horizon] Failed to apply retention policy:', error);
+    return null;
+  }
+}
+
+chrome.alarms.get(RETENTION_ALARM).then((existing) => {
+  if (!existing) {
+    chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETENTION_ALARM) {
+    runRetention();
+  }
+});
+
+// Interest clusters of the last few weeks' embedding samples (see
+// interest-clusters.js), recomputed once a day and kept in the meta store
+// as { computedAt, fromDay, toDay, result } (result null with too few
+// samples)
+const INTERESTS_ALARM = 'horizon-interests';
+const INTERESTS_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+async function refreshInterests() {
+  await storageReady;
+  await writeQueue.flush();
+  const toDay = localDayKey();
+  const fromDay = addDays(toDay, -(WINDOW_DAYS - 1));
+  const [samples, events] = await Promise.all([
+    getSamplesForDayRange(fromDay, toDay),
+    getEventsForDayRange(fromDay, toDay)
+  ]);
+  const titlesByHash = new Map();
+  for (const event of events) {
+    if (event.embeddingHash && event.title) {
+      titlesByHash.set(event.embeddingHash, event.title);
+    }
+  }
+  const interests = {
+    computedAt: Date.now(),
+    fromDay,
+    toDay,
+    result: discoverInterests(samples, titlesByHash, addDays(toDay, -(RECENT_DAYS - 1)))
+  };
+  await setMeta(INTERESTS_META_KEY, interests);
+  console.log(`[Horizon] Clustered ${interests.result?.sampleCount || 0} embedding samples into ${interests.result?.clusters.length || 0} interests`);
+  return interests;
+}
+
+// The stored interests, recomputed first when missing or a day old
+async function getInterests() {
+  await storageReady;
+  const stored = await getMeta(INTERESTS_META_KEY);
+  if (stored && Date.now() - stored.computedAt < INTERESTS_MAX_AGE_MS) {
+    return stored;
+  }
+  return refreshInterests();
+}
+
+chrome.alarms.get(INTERESTS_ALARM).then((existing) => {
+  if (!existing) {
+    chrome.alarms.create(INTERESTS_ALARM, { delayInMinutes: 5, periodInMinutes: 24 * 60 });
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === INTERESTS_ALARM) {
+    refreshInterests().catch(error => console.error('[Horizon] Failed to cluster interests:', error));
+  }
+});
+
 // Listen for messages from content scripts and popup
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
@@ -284,52 +629,100 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         sendResponse({ success: false, disabled: true });
         return;
       }
+      if (systemIdleState === 'locked') {
+        // Content scripts pause on lock, but a message may already be in flight
+        console.log('[Horizon] Screen locked; engagement message ignored.');
+        sendResponse({ success: false, locked: true });
+        return;
+      }
       if (settings.includeTitles !== true && msg.title) {
         delete msg.title;
       }
-      // Try to classify if ML is enabled (optional)
-      let topic = null;
-      let embeddingResult = { embedding: null, hash: null };
+      // Classification runs later (see inference-queue.js); the title is
+      // queued for it when ML is enabled
+      const title = msg.title || '';
+      const classify = settings.enableML === true && title.length > 5;
       try {
-        console.log('[Horizon] Settings check:', { enableML: settings.enableML });
-        
-        if (settings.enableML) {
-          const title = msg.title || '';
-          console.log('[Horizon] Title received:', title.substring(0, 100));
-          
-          if (title && title.length > 5) {
-            const classificationResult = await classifyText(title);
-            topic = typeof classificationResult === 'string' ? classificationResult : (classificationResult?.category || classificationResult);
-            console.log('[Horizon] Final topic:', topic, 'from result:', classificationResult);
-            embeddingResult = await getEmbedding(title);
-          } else {
-            console.log('[Horizon] Title too short or empty, skipping classification. Title length:', title.length);
-          }
-        } else {
-          console.log('[Horizon] ML classification not enabled in settings');
-        }
+        await storeEngagement({ ...msg, classify }, getSessionGapMs(settings));
+        sendResponse({ success: true, queued: classify });
       } catch (error) {
-        console.error('[Horizon] Error during classification:', error);
-        // Continue even if classification fails
+        console.error('[Horizon] Failed to store engagement:', error);
+        sendResponse({ success: false, error: error.message });
       }
-      
-      // Store the engagement data (with topic if available)
-      await storeEngagement({
-        ...msg,
-        topic,
-        embedding: embeddingResult.embedding,
-        embeddingHash: embeddingResult.hash
-      });
-      if (topic) {
-        console.log('[Horizon] Stored engagement with topic:', topic, 'for', msg.deltaMs, 'ms');
-      } else {
-        console.log('[Horizon] Stored engagement without topic');
+    } else if (msg.type === 'media_time') {
+      const { settings } = await chrome.storage.local.get(['settings']);
+      if (!settings || settings.enableTracking !== true) {
+        sendResponse({ success: false, disabled: true });
+        return;
+      }
+      if (systemIdleState === 'locked') {
+        sendResponse({ success: false, locked: true });
+        return;
+      }
+      if (settings.includeTitles !== true && msg.title) {
+        delete msg.title;
+      }
+      try {
+        await storeMediaTime(msg);
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('[Horizon] Failed to store media time:', error);
+        sendResponse({ success: false, error: error.message });
       }
-      sendResponse({ success: true, topic, embeddingHash: embeddingResult.hash });
+    } else if (msg.type === 'export_history') {
+      await writeQueue.flush();
+      sendResponse(await exportAll());
+    } else if (msg.type === 'clear_history') {
+      await writeQueue.flush();
+      await clearAll();
+      sendResponse({ success: true });
+    } else if (msg.type === 'get_schema_status') {
+      await storageReady;
+      sendResponse(await getSchemaStatus());
+    } else if (msg.type === 'run_migrations') {
+      await writeQueue.flush();
+      sendResponse(await runMigrations());
+    } else if (msg.type === 'get_storage_usage') {
+      sendResponse(await getStorageUsage());
+    } else if (msg.type === 'get_embedding_cache_stats') {
+      sendResponse(await getEmbeddingCacheStats());
+    } else if (msg.type === 'get_idle_state') {
+      sendResponse({ state: systemIdleState });
     } else if (msg.type === 'get_today_summary') {
-      const summary = await getTodaySummary();
+      const { settings } = await chrome.storage.local.get(['settings']);
+      const summary = await getTodaySummary(getSessionGapMs(settings));
       sendResponse(summary);
+    } else if (msg.type === 'get_interests') {
+      try {
+        sendResponse(msg.refresh ? await refreshInterests() : await getInterests());
+      } catch (error) {
+        console.error('[Horizon] Failed to cluster interests:', error);
+        sendResponse(null);
+      }
+    } else if (msg.type === 'get_review_items') {
+      sendResponse(await getReviewItems());
+    } else if (msg.type === 'correct_topic') {
+      if (!msg.title || !msg.topic || !Array.isArray(msg.eventIds)) {
+        sendResponse({ success: false, error: 'title, topic and eventIds are required' });
+        return;
+      }
+      try {
+        sendResponse({ success: true, relabeled: await correctTopic(msg) });
+      } catch (error) {
+        console.error('[Horizon] Topic correction failed:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    } else if (msg.type === 'get_range_summary') {
+      try {
+        sendResponse({ success: true, summary: await getRangeSummary(msg.query) });
+      } catch (error) {
+        console.error('[Horizon] Range query failed:', error);
+        sendResponse({ success: false, error: error.message });
+      }
     }
-  })();
+  })().catch((error) => {
+    console.error(`[Horizon] Failed to handle ${msg.type} message:`, error);
+    sendResponse({ success: false, error: error.message });
+  });
   return true; // keep the message channel open for async reply
 });
@@ -12,19 +12,31 @@
   let contextInvalidated = false; // Flag to stop all messaging attempts
   let currentPostTitle = ''; // Track current post title to detect changes
   let lastPostTitle = ''; // Track last sent post title
+  let lastPagePost = ''; // id and title of the last page-level post sent
+  const trackedPosts = new Map(); // feed post element -> per-post dwell state
+  const sentPostIds = new Set(); // posts already reported, kept across re-rendered elements
+  const DEFAULT_IDLE_TIMEOUT_SEC = 60; // pause accumulation after this long without input
+  let lastInputAt = Date.now();
+  let systemIdleState = 'active'; // chrome.idle state relayed by background: active | idle | locked
   let settings = {
     enableTracking: false,
-    includeTitles: false
+    includeTitles: false,
+    idleTimeoutSec: DEFAULT_IDLE_TIMEOUT_SEC
   };
 
+  function readSettings(stored) {
+    const idleTimeoutSec = Number(stored.idleTimeoutSec);
+    return {
+      enableTracking: stored.enableTracking === true,
+      includeTitles: stored.includeTitles === true,
+      idleTimeoutSec: idleTimeoutSec > 0 ? idleTimeoutSec : DEFAULT_IDLE_TIMEOUT_SEC
+    };
+  }
+
   function loadSettings() {
     try {
       chrome.storage.local.get(['settings'], (res) => {
-        const stored = res?.settings || {};
-        settings = {
-          enableTracking: stored.enableTracking === true,
-          includeTitles: stored.includeTitles === true
-        };
+        settings = readSettings(res?.settings || {});
       });
     } catch (err) {
       console.error('[Horizon] Failed to load settings:', err);
@@ -34,167 +46,196 @@
   // React to option updates without page reload
   chrome.storage.onChanged?.addListener((changes, area) => {
     if (area !== 'local' || !changes.settings) return;
-    const newSettings = changes.settings.newValue || {};
-    settings = {
-      enableTracking: newSettings.enableTracking === true,
-      includeTitles: newSettings.includeTitles === true
-    };
+    settings = readSettings(changes.settings.newValue || {});
     if (!settings.includeTitles) {
       currentPostTitle = '';
       lastPostTitle = '';
     }
   });
 
+  // System idle/lock state comes from chrome.idle in the background worker
+  chrome.runtime.onMessage?.addListener((msg) => {
+    if (msg?.type === 'idle_state') {
+      systemIdleState = msg.state || 'active';
+      syncAllMedia();
+      refreshActivity();
+    }
+  });
+
+  function requestIdleState() {
+    try {
+      chrome.runtime.sendMessage({ type: 'get_idle_state' }, (response) => {
+        if (chrome.runtime.lastError) return;
+        if (response?.state) {
+          systemIdleState = response.state;
+          refreshActivity();
+        }
+      });
+    } catch (err) {
+      // Extension context may be gone; the periodic checks keep running regardless
+    }
+  }
+
   loadSettings();
+  requestIdleState();
 
-  // simple content type detection (heuristic)
+  // Platform-specific extraction lives in adapters/ (loaded before this file)
+  const adapter = HorizonAdapters.forLocation(location, document);
+  const genericAdapter = HorizonAdapters.generic;
+
+  // simple content type detection (heuristic), adapter rules first
   function detectContentType() {
     try {
-      if (document.querySelector('video')) return 'video';
-      const imgs = document.querySelectorAll('img').length;
-      if (imgs > 10) return 'gallery';
-      const bodyText = (document.body && document.body.innerText) || '';
-      const trimmed = bodyText.trim();
-      if (trimmed.length > 3000) return 'long_read';
-      if (trimmed.length > 800) return 'article';
-      return 'short_text';
+      return (adapter.detectContentType && adapter.detectContentType(document, location)) ||
+             genericAdapter.detectContentType(document);
     } catch (err) {
       return 'unknown';
     }
   }
 
+  function detectPageKind() {
+    try {
+      return adapter.getPageKind ? adapter.getPageKind(location, document) : 'other';
+    } catch (err) {
+      return 'other';
+    }
+  }
+
   // Extract post title/metadata from social media platforms (TOS-compliant: only titles and metadata)
   function extractPostTitle() {
     try {
-      const hostname = location.hostname.toLowerCase();
-      const pathname = location.pathname.toLowerCase();
-      
-      // Twitter/X: Extract from meta tags or article elements
-      if (hostname.includes('twitter.com') || hostname.includes('x.com')) {
-        // Check if we're on an individual post page (has /status/ in URL)
-        const isIndividualPost = pathname.includes('/status/');
-        
-        // Try meta tags first (most reliable, TOS-compliant)
-        const ogTitle = document.querySelector('meta[property="og:title"]');
-        if (ogTitle && ogTitle.content) {
-          let title = ogTitle.content.trim();
-          // Remove site name suffix if present
-          title = title.replace(/\s*\/\s*X$|\s*on X$|\s*on Twitter$/i, '').trim();
-          // Only use if it's meaningful (not just "Home / X")
-          if (title && title.length > 5 && !title.match(/^(Home|Explore|Notifications|Messages|Profile)/i)) {
-            return title;
-          }
-        }
-        
-        // Try Twitter card meta
-        const twitterTitle = document.querySelector('meta[name="twitter:title"]');
-        if (twitterTitle && twitterTitle.content) {
-          const title = twitterTitle.content.trim();
-          if (title && title.length > 5) {
-            return title;
-          }
-        }
-        
-        // For individual post pages, try to get tweet text from article
-        if (isIndividualPost) {
-          const tweetArticle = document.querySelector('article[data-testid="tweet"]');
-          if (tweetArticle) {
-            // Extract text from tweet text span (first level text content)
-            const tweetText = tweetArticle.querySelector('[data-testid="tweetText"]');
-            if (tweetText) {
-              const text = tweetText.textContent.trim().substring(0, 200);
-              if (text && text.length > 5) {
-                return text;
-              }
-            }
-          }
-        }
-      }
-      
-      // Reddit: Extract from meta tags or post title elements
-      if (hostname.includes('reddit.com')) {
-        // Check if we're on an individual post page (has /r/ and /comments/ in URL)
-        const isIndividualPost = pathname.includes('/r/') && pathname.includes('/comments/');
-        
-        // Try meta tags first
-        const ogTitle = document.querySelector('meta[property="og:title"]');
-        if (ogTitle && ogTitle.content) {
-          const title = ogTitle.content.trim();
-          // Remove "posted in r/..." suffix if present
-          const cleaned = title.replace(/\s*:\s*.*$/, '').trim();
-          if (cleaned && cleaned.length > 5) {
-            return cleaned;
-          }
-        }
-        
-        // Try Reddit-specific meta
-        const twitterTitle = document.querySelector('meta[name="twitter:title"]');
-        if (twitterTitle && twitterTitle.content) {
-          const title = twitterTitle.content.trim();
-          if (title && title.length > 5) {
-            return title;
-          }
-        }
-        
-        // For individual posts, try to get post title from common containers
-        if (isIndividualPost) {
-          const postTitle = document.querySelector('h1[data-testid="post-content"]') ||
-                           document.querySelector('h2[data-testid="post-content"]') ||
-                           document.querySelector('h3[data-testid="post-content"]') ||
-                           document.querySelector('a[data-testid="post-title"]') ||
-                           document.querySelector('[slot="title"]');
-          if (postTitle) {
-            const text = postTitle.textContent.trim().substring(0, 200);
-            if (text && text.length > 5) {
-              return text;
-            }
-          }
-        }
-      }
-      
-      // Instagram: Extract from meta tags
-      if (hostname.includes('instagram.com')) {
-        const ogTitle = document.querySelector('meta[property="og:title"]');
-        if (ogTitle && ogTitle.content) {
-          return ogTitle.content.trim();
-        }
-        
-        const ogDescription = document.querySelector('meta[property="og:description"]');
-        if (ogDescription && ogDescription.content) {
-          return ogDescription.content.trim().substring(0, 200);
-        }
-      }
-      
+      const title = adapter.extractTitle ? adapter.extractTitle(document, location) : '';
       // Fallback: Use page title or meta description
-      const ogTitle = document.querySelector('meta[property="og:title"]');
-      if (ogTitle && ogTitle.content) {
-        return ogTitle.content.trim();
-      }
-      
-      const metaDescription = document.querySelector('meta[name="description"]');
-      if (metaDescription && metaDescription.content) {
-        return metaDescription.content.trim().substring(0, 200);
-      }
-      
-      // Last resort: page title
-      return document.title || '';
+      return title || genericAdapter.extractTitle(document);
     } catch (err) {
       console.error('[Horizon] Error extracting post title:', err);
       return document.title || '';
     }
   }
 
-  function sendEngagement(deltaMs) {
-    if (!settings.enableTracking || deltaMs <= 0) {
-      accumulatedMs = 0;
-      return;
+  const POST_VISIBLE_RATIO = 0.5; // a post counts as on screen once half of it is visible
+
+  // Adapters without a post selector (or unknown hosts) fall back to page-level time
+  const feedAdapter = adapter.postSelector ? adapter : null;
+
+  function detectPostContentType(el) {
+    try {
+      return (adapter.getPostContentType && adapter.getPostContentType(el)) ||
+             genericAdapter.getPostContentType(el);
+    } catch (err) {
+      return 'unknown';
+    }
+  }
+
+  function getPostSnippet(el) {
+    try {
+      return (feedAdapter.getPostSnippet(el) || '').replace(/\s+/g, ' ').trim().substring(0, 200);
+    } catch (err) {
+      return '';
+    }
+  }
+
+  function getPostId(el) {
+    try {
+      const id = feedAdapter.getPostId(el);
+      if (id) return id;
+    } catch (err) {
+      // fall through to the snippet-based id
     }
+    const snippet = getPostSnippet(el);
+    return snippet ? `snippet:${snippet.substring(0, 80)}` : '';
+  }
+
+  // Split elapsed active time across the posts currently on screen. Returns
+  // true if the time was attributed to posts, false if none are visible and
+  // the caller should count it as page-level time instead.
+  function accruePostTime(elapsedMs) {
+    if (!feedAdapter || elapsedMs <= 0) return false;
+    const visible = [];
+    trackedPosts.forEach(post => {
+      if (post.visible) visible.push(post);
+    });
+    if (visible.length === 0) return false;
+    const share = elapsedMs / visible.length;
+    visible.forEach(post => {
+      post.pendingMs += share;
+    });
+    return true;
+  }
+
+  function accrueActiveTime(now) {
+    const elapsed = now - lastChange;
+    if (active && elapsed > 0) {
+      if (!accruePostTime(elapsed)) {
+        accumulatedMs += elapsed;
+      }
+    }
+    lastChange = Math.max(lastChange, now);
+  }
+
+  const postObserver = feedAdapter && typeof IntersectionObserver === 'function'
+    ? new IntersectionObserver((entries) => {
+        // Credit the time so far to the posts that were visible until now
+        accrueActiveTime(Date.now());
+        entries.forEach(entry => {
+          const post = trackedPosts.get(entry.target);
+          if (post) {
+            post.visible = entry.isIntersecting && entry.intersectionRatio >= POST_VISIBLE_RATIO;
+          }
+        });
+      }, { threshold: [0, POST_VISIBLE_RATIO, 1] })
+    : null;
+
+  function scanForPosts() {
+    if (!postObserver) return;
+    document.querySelectorAll(feedAdapter.postSelector).forEach(el => {
+      if (trackedPosts.has(el)) return;
+      // Nested matches (e.g. a quoted tweet) belong to their outer post
+      if (el.parentElement?.closest(feedAdapter.postSelector)) return;
+      trackedPosts.set(el, {
+        id: getPostId(el),
+        visible: false,
+        pendingMs: 0,
+        sent: false // only used for posts without an id
+      });
+      postObserver.observe(el);
+    });
 
+    // Forget posts the feed has virtualized away, flushing what they earned
+    trackedPosts.forEach((post, el) => {
+      if (!el.isConnected) {
+        accrueActiveTime(Date.now());
+        flushPost(el, post);
+        postObserver.unobserve(el);
+        trackedPosts.delete(el);
+      }
+    });
+  }
+
+  let scanScheduled = false;
+  function scheduleScan() {
+    if (scanScheduled) return;
+    scanScheduled = true;
+    setTimeout(() => {
+      scanScheduled = false;
+      scanForPosts();
+    }, 250);
+  }
+
+  if (postObserver) {
+    scanForPosts();
+    new MutationObserver(scheduleScan).observe(document.documentElement, {
+      childList: true,
+      subtree: true
+    });
+  }
+
+  function isRuntimeAvailable() {
     // If context is already invalidated, don't try to send
     if (contextInvalidated) {
-      return;
+      return false;
     }
-    
+
     // Safely check if extension runtime is still available
     let runtimeAvailable = false;
     try {
@@ -202,20 +243,252 @@
     } catch (e) {
       // Accessing chrome.runtime itself can throw if context is invalidated
       contextInvalidated = true;
-      return;
+      return false;
     }
-    
+
     if (!runtimeAvailable) {
       contextInvalidated = true;
+      return false;
+    }
+    return true;
+  }
+
+  function isContextInvalidatedError(errorMsg) {
+    return errorMsg.includes('Extension context invalidated') ||
+           errorMsg.includes('message port closed') ||
+           errorMsg.includes('Could not establish connection');
+  }
+
+  function postEngagement(payload) {
+    try {
+      chrome.runtime.sendMessage(payload, (response) => {
+        // Handle extension context invalidation
+        if (chrome.runtime.lastError) {
+          const errorMsg = chrome.runtime.lastError.message || '';
+          if (isContextInvalidatedError(errorMsg)) {
+            // Extension was reloaded - stop trying to send messages
+            contextInvalidated = true;
+            console.log('[Horizon] Extension context invalidated. Please refresh the page to resume tracking.');
+            return;
+          }
+          // Other errors (service worker may be asleep) - ignore
+        }
+        if (response?.success && response.embeddingHash) {
+          console.log('[Horizon] Embedding cached with hash:', response.embeddingHash);
+        }
+      });
+    } catch (error) {
+      // Catch any runtime errors (e.g., extension context invalidated)
+      const errorMsg = error.message || '';
+      if (isContextInvalidatedError(errorMsg)) {
+        contextInvalidated = true;
+        console.log('[Horizon] Extension context invalidated. Please refresh the page to resume tracking.');
+      }
+      // Silently ignore other errors
+    }
+  }
+
+  // Send one post's dwell time as its own engagement record
+  function flushPost(el, post) {
+    const deltaMs = Math.round(post.pendingMs);
+    post.pendingMs = 0;
+    if (!settings.enableTracking || deltaMs <= 0 || !isRuntimeAvailable()) {
       return;
     }
-    
+    if (!post.id) {
+      post.id = getPostId(el);
+    }
+
+    const payload = {
+      type: 'engagement_time',
+      domain: location.hostname,
+      deltaMs,
+      contentType: detectPostContentType(el),
+      capturedAt: Date.now(),
+      pageKind: detectPageKind(),
+      postId: post.id || null,
+      // Feeds re-render and recycle post elements, so a post counts as new
+      // once per id rather than once per element
+      newPost: post.id ? !sentPostIds.has(post.id) : !post.sent
+    };
+
+    if (settings.includeTitles) {
+      const snippet = getPostSnippet(el);
+      if (snippet.length > 5) {
+        payload.title = snippet;
+      }
+    }
+
+    post.sent = true;
+    if (post.id) {
+      sentPostIds.add(post.id);
+    }
+    postEngagement(payload);
+  }
+
+  function flushPosts() {
+    trackedPosts.forEach((post, el) => flushPost(el, post));
+  }
+
+  // Per-media watch time. A segment runs while a media element is playing in
+  // a visible tab; muted and unmuted time are kept apart so autoplaying
+  // muted clips can be told from actual watching.
+  const trackedMedia = new Map(); // media element -> watch state
+
+  function getMediaState(media) {
+    let state = trackedMedia.get(media);
+    if (!state) {
+      state = {
+        key: '',
+        playingSince: null,
+        muted: false,
+        pendingMutedMs: 0,
+        pendingUnmutedMs: 0,
+        maxPositionSec: 0,
+        userStarted: false,
+        sent: false
+      };
+      trackedMedia.set(media, state);
+    }
+    return state;
+  }
+
+  function closeMediaSegment(media, state, now) {
+    if (state.playingSince !== null) {
+      const elapsed = now - state.playingSince;
+      if (elapsed > 0) {
+        if (state.muted) {
+          state.pendingMutedMs += elapsed;
+        } else {
+          state.pendingUnmutedMs += elapsed;
+        }
+      }
+      state.playingSince = null;
+    }
+    if (Number.isFinite(media.currentTime)) {
+      state.maxPositionSec = Math.max(state.maxPositionSec, media.currentTime);
+    }
+  }
+
+  // Close the running segment and start a new one if the media still counts
+  function syncMedia(media, now = Date.now()) {
+    const state = getMediaState(media);
+    closeMediaSegment(media, state, now);
+    const counting = !media.paused && !media.ended &&
+                     document.visibilityState === 'visible' &&
+                     systemIdleState !== 'locked';
+    if (counting) {
+      state.playingSince = now;
+      state.muted = media.muted || media.volume === 0;
+    }
+  }
+
+  function syncAllMedia() {
+    const now = Date.now();
+    trackedMedia.forEach((state, media) => syncMedia(media, now));
+  }
+
+  // Identify a media element: the post it belongs to, its source URL, or
+  // its position on the page (blob: sources change on every load).
+  function getMediaKey(media) {
+    if (feedAdapter) {
+      const postEl = media.closest(feedAdapter.postSelector);
+      const postId = postEl ? getPostId(postEl) : '';
+      if (postId) return postId;
+    }
+    const src = media.currentSrc || media.src || '';
+    if (src && !src.startsWith('blob:')) {
+      return src.split('?')[0];
+    }
+    const index = Array.from(document.querySelectorAll('video, audio')).indexOf(media);
+    return `${location.pathname}${location.search}#${index}`;
+  }
+
+  function getMediaTitle(media) {
+    if (feedAdapter) {
+      const postEl = media.closest(feedAdapter.postSelector);
+      if (postEl) return getPostSnippet(postEl);
+    }
+    return extractPostTitle();
+  }
+
+  function flushMedia() {
+    syncAllMedia();
+    trackedMedia.forEach((state, media) => {
+      const mutedMs = Math.round(state.pendingMutedMs);
+      const unmutedMs = Math.round(state.pendingUnmutedMs);
+      state.pendingMutedMs = 0;
+      state.pendingUnmutedMs = 0;
+
+      if (settings.enableTracking && mutedMs + unmutedMs > 0 && isRuntimeAvailable()) {
+        if (!state.key) {
+          state.key = getMediaKey(media);
+        }
+        const payload = {
+          type: 'media_time',
+          domain: location.hostname,
+          mediaKey: state.key,
+          mediaKind: media.tagName === 'AUDIO' ? 'audio' : 'video',
+          mutedMs,
+          unmutedMs,
+          positionSec: Math.round(state.maxPositionSec),
+          durationSec: Number.isFinite(media.duration) ? Math.round(media.duration) : null,
+          newMedia: !state.sent,
+          capturedAt: Date.now()
+        };
+        if (settings.includeTitles) {
+          const title = getMediaTitle(media);
+          if (title && title.length > 5) {
+            payload.title = title;
+          }
+        }
+        state.sent = true;
+        postEngagement(payload);
+      }
+
+      if (!media.isConnected) {
+        trackedMedia.delete(media);
+      }
+    });
+  }
+
+  ['play', 'playing', 'pause', 'ended', 'volumechange', 'timeupdate', 'seeked'].forEach(ev =>
+    document.addEventListener(ev, (event) => {
+      const media = event.target;
+      if (media instanceof HTMLMediaElement) {
+        if (event.type === 'play') {
+          // Playback that starts right after a click or key press was started by the user
+          getMediaState(media).userStarted = !!(navigator.userActivation && navigator.userActivation.isActive);
+        }
+        syncMedia(media);
+      }
+    }, { capture: true })
+  );
+
+  // The page's own post id: its canonical URL, or the address without the fragment
+  function getPagePostId() {
+    const canonical = document.querySelector('link[rel="canonical"]');
+    return (canonical && canonical.href) || location.origin + location.pathname + location.search;
+  }
+
+  function sendEngagement(deltaMs) {
+    if (!settings.enableTracking || deltaMs <= 0) {
+      accumulatedMs = 0;
+      return;
+    }
+
+    if (!isRuntimeAvailable()) {
+      return;
+    }
+
     // Build payload safely (don't access chrome.runtime here)
     // Extract post title/metadata (TOS-compliant: only reads titles and metadata)
     currentPostTitle = settings.includeTitles ? extractPostTitle() : '';
     
-    // Only send if we have meaningful content (not just page title like "Home / X")
+    // Only send if we have meaningful content (not just page title like "Home / X").
+    // On feeds the posts carry their own titles, so page-level time stays untitled.
     const meaningfulTitle = settings.includeTitles &&
+                           trackedPosts.size === 0 &&
                            currentPostTitle &&
                            currentPostTitle.length > 5 &&
                            !currentPostTitle.match(/^(Home|Explore|Notifications|Messages|Profile)/i);
@@ -225,11 +498,18 @@
       domain: location.hostname,
       deltaMs,
       contentType: detectContentType(),
+      pageKind: detectPageKind(),
       capturedAt: Date.now()
     };
     
+    // Page-level time is reported every few seconds; only a new title or URL
+    // is a new post. Untitled page-level time is not a post at all.
     if (meaningfulTitle) {
       payload.title = currentPostTitle;
+      payload.postId = getPagePostId();
+      const pagePost = `${payload.postId}|${currentPostTitle}`;
+      payload.newPost = pagePost !== lastPagePost;
+      lastPagePost = pagePost;
     }
     
     // Log for debugging (only if meaningful title found)
@@ -238,72 +518,95 @@
       lastPostTitle = currentPostTitle;
     }
     
+    postEngagement(payload);
+  }
+
+  // Media keeps a tab engaged without input (passive watching) when it plays
+  // with sound or the user started it. Muted autoplay still counts toward the
+  // media stats but not toward keeping the tab active.
+  function isMediaPlaying() {
+    const { isMediaAudible, isMediaWatched } = HorizonAdapters.helpers;
     try {
-      chrome.runtime.sendMessage(payload, (response) => {
-        // Handle extension context invalidation
-        if (chrome.runtime.lastError) {
-          const errorMsg = chrome.runtime.lastError.message || '';
-          if (errorMsg.includes('Extension context invalidated') || 
-              errorMsg.includes('message port closed') ||
-              errorMsg.includes('Could not establish connection')) {
-            // Extension was reloaded - stop trying to send messages
-            contextInvalidated = true;
-            console.log('[Horizon] Extension context invalidated. Please refresh the page to resume tracking.');
-            return;
-          }
-          // Other errors (service worker may be asleep) - ignore
-        }
-        if (response?.success && response.embeddingHash) {
-          console.log('[Horizon] Embedding cached with hash:', response.embeddingHash);
-        }
+      return Array.from(document.querySelectorAll('video, audio')).some(media => {
+        const state = trackedMedia.get(media);
+        return isMediaAudible(media) || (!!state && state.userStarted && isMediaWatched(media));
       });
-    } catch (error) {
-      // Catch any runtime errors (e.g., extension context invalidated)
-      const errorMsg = error.message || '';
-      if (errorMsg.includes('Extension context invalidated') ||
-          errorMsg.includes('message port closed') ||
-          errorMsg.includes('Could not establish connection')) {
-        contextInvalidated = true;
-        console.log('[Horizon] Extension context invalidated. Please refresh the page to resume tracking.');
-      }
-      // Silently ignore other errors
+    } catch (err) {
+      return false;
     }
   }
 
-  function updateState(isActive) {
-    const now = Date.now();
-    if (active) {
-      accumulatedMs += now - lastChange;
+  // Whether time should accumulate right now, and if not, since when it stopped
+  function computeActivity(now) {
+    if (document.visibilityState !== 'visible' || systemIdleState === 'locked') {
+      return { isActive: false, since: now };
+    }
+    if (isMediaPlaying()) {
+      return { isActive: true, since: now };
     }
+    if (!document.hasFocus() || systemIdleState === 'idle') {
+      return { isActive: false, since: now };
+    }
+    const idleDeadline = lastInputAt + settings.idleTimeoutSec * 1000;
+    if (now >= idleDeadline) {
+      // Stop counting at the moment the timeout ran out, not when we noticed
+      return { isActive: false, since: Math.max(idleDeadline, lastChange) };
+    }
+    return { isActive: true, since: now };
+  }
+
+  function updateState(isActive, at = Date.now()) {
+    accrueActiveTime(at);
     active = isActive;
-    lastChange = now;
+    // Time between `at` and now (e.g. after an idle timeout) is never counted
+    lastChange = Math.max(lastChange, Date.now());
 
     // keep periodic sends to avoid large in-memory accumulation
-    if (Date.now() - lastSend > SEND_INTERVAL_MS && accumulatedMs > 0) {
-      sendEngagement(accumulatedMs);
-      accumulatedMs = 0;
+    if (Date.now() - lastSend > SEND_INTERVAL_MS) {
+      flushPosts();
+      flushMedia();
+      if (accumulatedMs > 0) {
+        sendEngagement(accumulatedMs);
+        accumulatedMs = 0;
+      }
       lastSend = Date.now();
     }
   }
 
+  function refreshActivity() {
+    const { isActive, since } = computeActivity(Date.now());
+    if (isActive !== active) {
+      updateState(isActive, since);
+    }
+  }
+
   // event listeners to detect engagement
-  document.addEventListener('visibilitychange', () => updateState(document.visibilityState === 'visible'));
-  window.addEventListener('focus', () => updateState(true));
-  window.addEventListener('blur', () => updateState(false));
-  ['mousemove', 'keydown', 'scroll', 'click', 'touchstart'].forEach(ev =>
+  document.addEventListener('visibilitychange', () => {
+    syncAllMedia();
+    refreshActivity();
+  });
+  window.addEventListener('focus', refreshActivity);
+  window.addEventListener('blur', refreshActivity);
+  ['mousemove', 'keydown', 'scroll', 'wheel', 'click', 'touchstart'].forEach(ev =>
     document.addEventListener(ev, () => {
-      if (!active) updateState(true);
-    }, { passive: true })
+      lastInputAt = Date.now();
+      if (!active) refreshActivity();
+    }, { passive: true, capture: true })
   );
+  // Media events do not bubble, so listen in the capture phase
+  ['play', 'playing', 'pause', 'ended', 'volumechange'].forEach(ev =>
+    document.addEventListener(ev, refreshActivity, { capture: true })
+  );
+
+  // Catch the inactivity timeout between input events
+  setInterval(refreshActivity, 1000);
 
   // periodic flush (sends even if no focus change)
   // Also check for post changes on single-page apps
   setInterval(() => {
-    const now = Date.now();
     if (active) {
-      accumulatedMs += now - lastChange;
-      lastChange = now;
-      
+      accrueActiveTime(Date.now());
+
       // Check if post title changed (for single-page apps)
       if (settings.includeTitles) {
         const newPostTitle = extractPostTitle();
@@ -318,9 +621,13 @@
         }
       }
     }
-    if (accumulatedMs > 0 && Date.now() - lastSend > SEND_INTERVAL_MS) {
-      sendEngagement(accumulatedMs);
-      accumulatedMs = 0;
+    if (Date.now() - lastSend > SEND_INTERVAL_MS) {
+      flushPosts();
+      flushMedia();
+      if (accumulatedMs > 0) {
+        sendEngagement(accumulatedMs);
+        accumulatedMs = 0;
+      }
       lastSend = Date.now();
     }
   }, SEND_INTERVAL_MS);
@@ -331,10 +638,9 @@
       return;
     }
     
-    const now = Date.now();
-    if (active) {
-      accumulatedMs += now - lastChange;
-    }
+    accrueActiveTime(Date.now());
+    flushPosts();
+    flushMedia();
     if (accumulatedMs > 0) {
       // Use sendEngagement which has proper error handling
       sendEngagement(accumulatedMs);
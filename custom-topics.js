@@ -0,0 +1,75 @@
+// custom-topics.js
+// User-defined topics from the options page, stored in chrome.storage under
+// `custom_topics` as [{ name, color, examples: [string] }]. They reach the
+// classifiers two ways:
+//   - the example phrases are embedded once and used as prototypes: a title
+//     whose embedding is close enough to one of them gets that topic (see
+//     matchCustomTopic and background.js)
+//   - the examples are added to the sample posts when the models are
+//     retrained, so Naive Bayes and the embedding head learn them too
+
+import { cosineSimilarity } from './vectors.js';
+
+export const CUSTOM_TOPICS_KEY = 'custom_topics';
+// Cosine similarity a title needs to one of a topic's examples. MiniLM
+// puts paraphrases around 0.6-0.8 and unrelated sentences below 0.3.
+export const CUSTOM_TOPIC_MIN_SIMILARITY = 0.55;
+export const MAX_CUSTOM_TOPIC_EXAMPLES = 20;
+const DEFAULT_COLOR = '#319795';
+
+// Topic names are stored like the built-in labels: trimmed and lowercase
+export function normalizeTopicName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Clean up topics from storage or the editor: drop unnamed topics and
+// duplicate names, empty examples, and examples past the limit
+export function normalizeCustomTopics(topics) {
+  const seen = new Set();
+  const result = [];
+  for (const topic of Array.isArray(topics) ? topics : []) {
+    const name = normalizeTopicName(topic?.name);
+    if (!name || seen.has(name)) {
+      continue;
+    }
+    seen.add(name);
+    const examples = (Array.isArray(topic.examples) ? topic.examples : [])
+      .map(example => String(example).trim())
+      .filter(Boolean)
+      .slice(0, MAX_CUSTOM_TOPIC_EXAMPLES);
+    result.push({
+      name,
+      color: /^#[0-9a-f]{6}$/i.test(topic.color) ? topic.color : DEFAULT_COLOR,
+      examples
+    });
+  }
+  return result;
+}
+
+export async function getCustomTopics() {
+  const stored = await chrome.storage.local.get([CUSTOM_TOPICS_KEY]);
+  return normalizeCustomTopics(stored[CUSTOM_TOPICS_KEY]);
+}
+
+// Custom topics as training records ({ text, label }), for the training worker
+export function customTopicRecords(topics) {
+  return normalizeCustomTopics(topics).flatMap(topic =>
+    topic.examples.map(text => ({ text, label: topic.name }))
+  );
+}
+
+// Best custom topic for a title embedding. `prototypes` is a list of
+// { name, vectors }. Returns { topic, similarity } or null when no example
+// is similar enough.
+export function matchCustomTopic(embedding, prototypes) {
+  let best = null;
+  for (const { name, vectors } of prototypes) {
+    for (const vector of vectors) {
+      const similarity = cosineSimilarity(embedding, vector);
+      if (similarity >= CUSTOM_TOPIC_MIN_SIMILARITY && (!best || similarity > best.similarity)) {
+        best = { topic: name, similarity };
+      }
+    }
+  }
+  return best;
+}
@@ -0,0 +1,390 @@
+// day-aggregates.js
+// Engagement events and the per-day aggregate ("day record") derived from them.
+// An event is the stored form of one engagement_time or media_time message;
+// a day record is what you get by applying every event of that day, in order,
+// to an empty record. background.js keeps the records materialized as events
+// arrive, and the same functions rebuild them from the event log.
+
+import { localDayKey, localHour, currentTimeZone } from './time-buckets.js';
+
+// Topic of titles whose classification was below the confidence threshold
+export const UNCERTAIN_TOPIC = 'uncertain';
+// Topic of titles in a language the classifiers were not trained on
+export const UNSUPPORTED_LANGUAGE_TOPIC = 'unsupported language';
+
+// Titles scoring below / above these count as negative / positive time
+export const NEGATIVE_SENTIMENT = -0.2;
+export const POSITIVE_SENTIMENT = 0.2;
+
+const MAX_MEDIA_ITEMS_PER_DAY = 200;
+const MEDIA_COMPLETED_RATIO = 0.9; // watched to at least 90% counts as completed
+
+// Posts report their dwell time in several messages; only the first one
+// counts as a new post. Messages without a post id (untitled page-level
+// time) are never a post.
+export function isNewPostMessage(data) {
+  return Boolean(data.postId) && data.newPost === true;
+}
+
+// Whether an engagement event counts as a post not seen before. Events
+// logged before repeat detection existed count every new post.
+export function isUniquePost(event) {
+  return event.uniquePost === undefined ? event.newPost : event.uniquePost;
+}
+
+// Build the stored event for an engagement_time ('engagement') or
+// media_time ('media') message. Titles are only present when the user
+// opted in to sending them.
+export function createEvent(kind, data) {
+  const ts = data.capturedAt || Date.now();
+  const event = {
+    kind,
+    ts,
+    day: localDayKey(ts),
+    hour: localHour(ts),
+    domain: data.domain || 'unknown',
+    title: data.title || null
+  };
+  if (kind === 'media') {
+    Object.assign(event, {
+      mediaKey: data.mediaKey || 'unknown',
+      mediaKind: data.mediaKind || 'video',
+      mutedMs: Math.max(0, data.mutedMs || 0),
+      unmutedMs: Math.max(0, data.unmutedMs || 0),
+      positionSec: data.positionSec || 0,
+      durationSec: data.durationSec || null
+    });
+  } else {
+    Object.assign(event, {
+      deltaMs: Math.max(0, data.deltaMs || 0),
+      contentType: data.contentType || 'unknown',
+      pageKind: data.pageKind || null,
+      topic: data.topic || null,
+      predictedTopic: data.predictedTopic || null,
+      topicConfidence: typeof data.topicConfidence === 'number' ? data.topicConfidence : null,
+      sentiment: typeof data.sentiment === 'number' ? data.sentiment : null,
+      emotion: data.emotion || null,
+      language: data.language || null,
+      postId: data.postId || null,
+      newPost: isNewPostMessage(data),
+      titleHash: data.titleHash || null,
+      embeddingHash: data.embeddingHash || null
+    });
+  }
+  return event;
+}
+
+export function createMediaSummary() {
+  return {
+    watchedMs: 0,
+    mutedMs: 0,
+    unmutedMs: 0,
+    byDomain: {},
+    items: {}
+  };
+}
+
+// Time-weighted sentiment of scored titles: `ms` of scored time and `sum` of
+// sentiment x ms, overall and per domain and topic (average = sum / ms)
+export function createSentimentSummary() {
+  return {
+    ms: 0,
+    sum: 0,
+    negativeMs: 0,
+    positiveMs: 0,
+    byDomain: {},
+    byTopic: {}
+  };
+}
+
+export function createDayRecord(day) {
+  return {
+    day,
+    timeZone: currentTimeZone(),
+    byDomain: {},
+    byContentType: {},
+    byTopic: {},
+    byTopicCounts: {},
+    byTopicWeighted: {},
+    classifiedMs: 0,
+    confidentMs: 0,
+    byHour: {},
+    media: createMediaSummary(),
+    sentiment: createSentimentSummary(),
+    byEmotion: {},
+    byLanguage: {},
+    postViews: 0,
+    uniquePosts: 0,
+    totalMs: 0
+  };
+}
+
+// Remember every zone a day was recorded in, so a trip or a system time
+// zone change is visible in the data instead of silently mixed in
+export function noteTimeZone(record) {
+  const timeZone = currentTimeZone();
+  if (!record.timeZone) {
+    record.timeZone = timeZone;
+  } else if (record.timeZone !== timeZone) {
+    record.timeZones = Array.from(new Set([record.timeZone, ...(record.timeZones || []), timeZone]));
+  }
+  return record;
+}
+
+// Fill in fields a day record written by an older version may be missing
+export function upgradeDayRecord(record) {
+  const upgraded = { ...createDayRecord(record.day), ...record };
+  for (const field of ['byDomain', 'byContentType', 'byTopic', 'byTopicCounts', 'byTopicWeighted', 'byEmotion', 'byLanguage', 'byHour']) {
+    if (!upgraded[field] || typeof upgraded[field] !== 'object') {
+      upgraded[field] = {};
+    }
+  }
+  if (!upgraded.media) {
+    upgraded.media = createDayRecord(record.day).media;
+  }
+  if (!upgraded.sentiment) {
+    upgraded.sentiment = createDayRecord(record.day).sentiment;
+  }
+  noteTimeZone(upgraded);
+  return upgraded;
+}
+
+function createHourBucket() {
+  return {
+    totalMs: 0,
+    byDomain: {},
+    byContentType: {},
+    byTopic: {}
+  };
+}
+
+function applyEngagementEvent(existing, event) {
+  // Update domain
+  const domain = event.domain;
+  existing.byDomain[domain] = (existing.byDomain[domain] || 0) + event.deltaMs;
+
+  // Update content type
+  const contentType = event.contentType;
+  existing.byContentType[contentType] = (existing.byContentType[contentType] || 0) + event.deltaMs;
+
+  // Post views, and how many of them were posts not seen before
+  if (event.newPost) {
+    existing.postViews = (existing.postViews || 0) + 1;
+  }
+  if (isUniquePost(event)) {
+    existing.uniquePosts = (existing.uniquePosts || 0) + 1;
+  }
+
+  // Update the local hour bucket (for time-of-day analysis)
+  const bucket = existing.byHour[event.hour] || createHourBucket();
+  bucket.totalMs += event.deltaMs;
+  bucket.byDomain[domain] = (bucket.byDomain[domain] || 0) + event.deltaMs;
+  bucket.byContentType[contentType] = (bucket.byContentType[contentType] || 0) + event.deltaMs;
+  existing.byHour[event.hour] = bucket;
+
+  if (typeof event.sentiment === 'number') {
+    applySentiment(existing, event);
+  }
+  if (event.emotion) {
+    existing.byEmotion = existing.byEmotion || {};
+    existing.byEmotion[event.emotion] = (existing.byEmotion[event.emotion] || 0) + event.deltaMs;
+  }
+  if (event.language) {
+    existing.byLanguage = existing.byLanguage || {};
+    existing.byLanguage[event.language] = (existing.byLanguage[event.language] || 0) + event.deltaMs;
+  }
+
+  // Update topic classification if available (after the hour bucket exists)
+  if (event.topic) {
+    addTopic(existing, event);
+  }
+
+  // Update total
+  existing.totalMs += event.deltaMs;
+}
+
+function applyMediaEvent(existing, event) {
+  const media = existing.media;
+  const domain = event.domain;
+  const watchedMs = event.mutedMs + event.unmutedMs;
+
+  media.watchedMs += watchedMs;
+  media.mutedMs += event.mutedMs;
+  media.unmutedMs += event.unmutedMs;
+  media.byDomain[domain] = (media.byDomain[domain] || 0) + watchedMs;
+
+  // Per-item record: watch time and how far into the media we got
+  const itemKey = `${domain}|${event.mediaKey}`;
+  let item = media.items[itemKey];
+  if (!item) {
+    const itemKeys = Object.keys(media.items);
+    if (itemKeys.length >= MAX_MEDIA_ITEMS_PER_DAY) {
+      // Make room by dropping the item seen least recently
+      const stalest = itemKeys.reduce((a, b) =>
+        (media.items[a].lastSeenAt || 0) <= (media.items[b].lastSeenAt || 0) ? a : b
+      );
+      delete media.items[stalest];
+    }
+    item = {
+      domain,
+      kind: event.mediaKind,
+      title: null,
+      watchedMs: 0,
+      mutedMs: 0,
+      unmutedMs: 0,
+      durationSec: null,
+      maxPositionSec: 0,
+      completion: 0,
+      completed: false,
+      lastSeenAt: 0
+    };
+    media.items[itemKey] = item;
+  }
+  if (event.title) {
+    item.title = event.title;
+  }
+  item.watchedMs += watchedMs;
+  item.mutedMs += event.mutedMs;
+  item.unmutedMs += event.unmutedMs;
+  item.maxPositionSec = Math.max(item.maxPositionSec, event.positionSec);
+  if (event.durationSec > 0) {
+    item.durationSec = event.durationSec;
+    item.completion = Math.min(1, item.maxPositionSec / item.durationSec);
+    item.completed = item.completion >= MEDIA_COMPLETED_RATIO;
+  }
+  item.lastSeenAt = event.ts;
+}
+
+// Apply one event to its day record
+export function applyEvent(record, event) {
+  if (event.kind === 'media') {
+    applyMediaEvent(record, event);
+  } else {
+    applyEngagementEvent(record, event);
+  }
+  return record;
+}
+
+function addSentimentTime(totals, key, ms, sentiment) {
+  const entry = totals[key] || { ms: 0, sum: 0 };
+  entry.ms += ms;
+  entry.sum += ms * sentiment;
+  if (entry.ms > 0) {
+    totals[key] = entry;
+  } else {
+    delete totals[key];
+  }
+}
+
+// Add one sentiment summary (of a day, rollup or event) into another
+export function mergeSentiment(target, source) {
+  if (!source) {
+    return target;
+  }
+  target.ms += source.ms || 0;
+  target.sum += source.sum || 0;
+  target.negativeMs += source.negativeMs || 0;
+  target.positiveMs += source.positiveMs || 0;
+  for (const field of ['byDomain', 'byTopic']) {
+    for (const [key, entry] of Object.entries(source[field] || {})) {
+      addSentimentTime(target[field], key, entry.ms, entry.ms > 0 ? entry.sum / entry.ms : 0);
+    }
+  }
+  return target;
+}
+
+function applySentiment(record, event) {
+  record.sentiment = record.sentiment || createSentimentSummary();
+  const summary = record.sentiment;
+  summary.ms += event.deltaMs;
+  summary.sum += event.deltaMs * event.sentiment;
+  if (event.sentiment <= NEGATIVE_SENTIMENT) {
+    summary.negativeMs += event.deltaMs;
+  } else if (event.sentiment >= POSITIVE_SENTIMENT) {
+    summary.positiveMs += event.deltaMs;
+  }
+  addSentimentTime(summary.byDomain, event.domain, event.deltaMs, event.sentiment);
+}
+
+// Add `amount` to a per-key total, dropping keys that fall to zero
+function addToMap(map, key, amount) {
+  const total = (map[key] || 0) + amount;
+  if (total > 1e-6) {
+    map[key] = total;
+  } else {
+    delete map[key];
+  }
+}
+
+// Count an engagement event's topic: time and unique posts per topic, the
+// hour bucket, and for events classified with a known confidence the
+// confidence-weighted time of the predicted topic and whether the topic was
+// confident (not routed to UNCERTAIN_TOPIC). A `sign` of -1 takes it back out.
+function addTopic(record, event, sign = 1) {
+  const topic = event.topic;
+  addToMap(record.byTopic, topic, sign * event.deltaMs);
+  if (isUniquePost(event)) {
+    addToMap(record.byTopicCounts, topic, sign);
+  }
+  const bucket = record.byHour[event.hour];
+  if (bucket) {
+    addToMap(bucket.byTopic, topic, sign * event.deltaMs);
+  }
+  if (typeof event.sentiment === 'number') {
+    record.sentiment = record.sentiment || createSentimentSummary();
+    addSentimentTime(record.sentiment.byTopic, topic, sign * event.deltaMs, event.sentiment);
+  }
+  if (typeof event.topicConfidence === 'number') {
+    record.byTopicWeighted = record.byTopicWeighted || {};
+    addToMap(record.byTopicWeighted, event.predictedTopic || topic, sign * event.deltaMs * event.topicConfidence);
+    record.classifiedMs = (record.classifiedMs || 0) + sign * event.deltaMs;
+    if (topic !== UNCERTAIN_TOPIC) {
+      record.confidentMs = (record.confidentMs || 0) + sign * event.deltaMs;
+    }
+  }
+}
+
+// Add the topic of an engagement event that was classified after it was
+// applied. `event.topic` must be set; everything else was counted already.
+export function applyEventTopic(record, event) {
+  addTopic(record, event);
+  return record;
+}
+
+// Take an applied event's topic back out, before it is changed (e.g. by a
+// user correction) and applied again with applyEventTopic
+export function removeEventTopic(record, event) {
+  if (event.topic) {
+    addTopic(record, event, -1);
+  }
+  return record;
+}
+
+// Stop counting an already applied event as a unique post, once it turned out
+// to repeat an earlier one. Call before setting `event.uniquePost = false`.
+export function applyRepeatDetected(record, event) {
+  if (isUniquePost(event)) {
+    record.uniquePosts = Math.max(0, (record.uniquePosts || 0) - 1);
+    if (event.topic && record.byTopicCounts[event.topic] > 0) {
+      record.byTopicCounts[event.topic] -= 1;
+    }
+  }
+  return record;
+}
+
+// Recompute a day record from its events. Days migrated from before the
+// event log existed keep their pre-migration totals in `legacyBase`, which
+// the rebuild starts from.
+export function buildDayRecord(day, events, legacyBase = null) {
+  const record = legacyBase
+    ? JSON.parse(JSON.stringify(legacyBase))
+    : createDayRecord(day);
+  if (legacyBase) {
+    record.legacyBase = legacyBase;
+  }
+  events
+    .slice()
+    .sort((a, b) => a.ts - b.ts)
+    .forEach(event => applyEvent(record, event));
+  return record;
+}
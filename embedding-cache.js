@@ -0,0 +1,118 @@
+// embedding-cache.js
+// Title embeddings cached in IndexedDB, keyed by the SHA-256 of the title.
+// Vectors are stored as binary, int8-quantized by default (see vectors.js).
+// Entries are evicted least-recently-used first once the cache is over its
+// entry or byte budget.
+// Hit/miss counters live next to the running totals in the meta store.
+
+import {
+  STORE_EMBEDDINGS,
+  STORE_META,
+  withTransaction,
+  requestToPromise
+} from './event-store.js';
+import { encodeVector, decodeVector } from './vectors.js';
+
+export const EMBEDDING_CACHE_MAX_ENTRIES = 5000;
+export const EMBEDDING_CACHE_MAX_BYTES = 4 * 1024 * 1024;
+const EMBEDDING_CACHE_FORMAT = 'int8'; // or 'float32'
+const STATS_KEY = 'embedding_cache_stats';
+const EVICTION_BATCH = 32;
+
+function createStats() {
+  return { entries: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 };
+}
+
+async function readStats(metaStore) {
+  const entry = await requestToPromise(metaStore.get(STATS_KEY));
+  return { ...createStats(), ...(entry ? entry.value : {}) };
+}
+
+function writeStats(metaStore, stats) {
+  return requestToPromise(metaStore.put({ key: STATS_KEY, value: stats }));
+}
+
+// Cached vector for `hash`, or null. Counts the lookup as a hit or miss and
+// marks a hit as recently used.
+export async function getCachedEmbedding(hash) {
+  return withTransaction([STORE_EMBEDDINGS, STORE_META], 'readwrite', async (stores) => {
+    const entry = await requestToPromise(stores[STORE_EMBEDDINGS].get(hash));
+    const stats = await readStats(stores[STORE_META]);
+    if (entry) {
+      stats.hits += 1;
+      entry.lastUsedAt = Date.now();
+      await requestToPromise(stores[STORE_EMBEDDINGS].put(entry));
+    } else {
+      stats.misses += 1;
+    }
+    await writeStats(stores[STORE_META], stats);
+    return entry ? decodeVector(entry) : null;
+  });
+}
+
+// Evict least recently used entries until the cache fits its budget
+async function evictOverBudget(stores, stats) {
+  while (stats.entries > EMBEDDING_CACHE_MAX_ENTRIES || stats.bytes > EMBEDDING_CACHE_MAX_BYTES) {
+    const oldest = await requestToPromise(
+      stores[STORE_EMBEDDINGS].index('lastUsedAt').getAll(null, EVICTION_BATCH)
+    );
+    if (oldest.length === 0) {
+      break;
+    }
+    for (const entry of oldest) {
+      if (stats.entries <= EMBEDDING_CACHE_MAX_ENTRIES && stats.bytes <= EMBEDDING_CACHE_MAX_BYTES) {
+        break;
+      }
+      await requestToPromise(stores[STORE_EMBEDDINGS].delete(entry.hash));
+      stats.entries -= 1;
+      stats.bytes -= entry.bytes;
+      stats.evictions += 1;
+    }
+  }
+}
+
+// Add vectors to the cache. `items` is a list of { hash, embedding,
+// lastUsedAt? }; hashes already cached are left alone.
+export async function putCachedEmbeddings(items) {
+  await withTransaction([STORE_EMBEDDINGS, STORE_META], 'readwrite', async (stores) => {
+    const stats = await readStats(stores[STORE_META]);
+    for (const { hash, embedding, lastUsedAt } of items) {
+      const existing = await requestToPromise(stores[STORE_EMBEDDINGS].getKey(hash));
+      if (existing !== undefined || !Array.isArray(embedding) || embedding.length === 0) {
+        continue;
+      }
+      const encoded = encodeVector(embedding, EMBEDDING_CACHE_FORMAT);
+      const now = Date.now();
+      const entry = {
+        hash,
+        ...encoded,
+        dims: embedding.length,
+        bytes: encoded.data.byteLength + hash.length,
+        createdAt: now,
+        lastUsedAt: lastUsedAt || now
+      };
+      await requestToPromise(stores[STORE_EMBEDDINGS].add(entry));
+      stats.entries += 1;
+      stats.bytes += entry.bytes;
+    }
+    await evictOverBudget(stores, stats);
+    await writeStats(stores[STORE_META], stats);
+  });
+}
+
+export async function putCachedEmbedding(hash, embedding) {
+  await putCachedEmbeddings([{ hash, embedding }]);
+}
+
+// Counters plus the budget, for the options page
+export async function getEmbeddingCacheStats() {
+  const stats = await withTransaction([STORE_META], 'readonly', (stores) => readStats(stores[STORE_META]));
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : null,
+    maxEntries: EMBEDDING_CACHE_MAX_ENTRIES,
+    maxBytes: EMBEDDING_CACHE_MAX_BYTES,
+    format: EMBEDDING_CACHE_FORMAT
+  };
+}
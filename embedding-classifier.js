@@ -0,0 +1,137 @@
+// embedding-classifier.js
+// Topic classifier head on MiniLM title embeddings: a nearest-centroid model
+// holding one normalized mean vector per topic. Embeddings are already
+// normalized, so a title's topic is the centroid with the highest cosine
+// similarity. Used instead of Naive Bayes when the classifier mode is
+// 'embedding' and the title has an embedding (see background.js).
+
+import { cosineSimilarity } from './vectors.js';
+import { stratifiedSplit, evaluatePredictions } from './model-evaluation.js';
+
+export const EMBEDDING_MODEL_STORAGE_KEY = 'embedding-classifier-model';
+export const EMBEDDING_EVALUATION_STORAGE_KEY = 'embedding-classifier-evaluation';
+// Similarities are scaled before the softmax so confidences are not all
+// close to 1/N (cosine similarities between topics differ by little)
+const SOFTMAX_SCALE = 20;
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+export class EmbeddingClassifier {
+  constructor() {
+    this.centroids = {}; // category -> normalized mean vector
+    this.categoryCounts = {}; // category -> training examples
+    this.categories = [];
+    this.dims = 0;
+  }
+
+  // Train from embeddings and their category names
+  train(embeddings, labels) {
+    const sums = {};
+    embeddings.forEach((embedding, index) => {
+      const label = labels[index];
+      if (!sums[label]) {
+        sums[label] = new Array(embedding.length).fill(0);
+        this.categoryCounts[label] = 0;
+      }
+      embedding.forEach((value, i) => {
+        sums[label][i] += value;
+      });
+      this.categoryCounts[label]++;
+    });
+    this.categories = Object.keys(sums).sort();
+    this.categories.forEach(category => {
+      this.centroids[category] = normalize(sums[category]).map(value => Number(value.toFixed(6)));
+    });
+    this.dims = embeddings[0]?.length || 0;
+    console.log('[EmbeddingClassifier] Training complete');
+    console.log('[EmbeddingClassifier] Categories:', this.categoryCounts);
+  }
+
+  // Same result shape as SimpleClassifier.classify
+  classify(embedding) {
+    const scores = {};
+    let maxScore = -Infinity;
+    let predictedCategory = 'unknown';
+    this.categories.forEach(category => {
+      scores[category] = cosineSimilarity(embedding, this.centroids[category]);
+      if (scores[category] > maxScore) {
+        maxScore = scores[category];
+        predictedCategory = category;
+      }
+    });
+
+    const expScores = this.categories.map(category => Math.exp((scores[category] - maxScore) * SOFTMAX_SCALE));
+    const sumExpScores = expScores.reduce((a, b) => a + b, 0);
+    return {
+      category: predictedCategory,
+      confidence: sumExpScores > 0 ? 1 / sumExpScores : 0,
+      scores
+    };
+  }
+
+  toJSON() {
+    return {
+      centroids: this.centroids,
+      categoryCounts: this.categoryCounts,
+      categories: this.categories,
+      dims: this.dims
+    };
+  }
+
+  static fromJSON(modelData) {
+    const classifier = new EmbeddingClassifier();
+    classifier.centroids = modelData.centroids || {};
+    classifier.categoryCounts = modelData.categoryCounts || {};
+    classifier.categories = modelData.categories || Object.keys(classifier.centroids).sort();
+    classifier.dims = modelData.dims || 0;
+    return classifier;
+  }
+
+  async save(extra = {}) {
+    const modelData = { ...this.toJSON(), ...extra };
+    await chrome.storage.local.set({ [EMBEDDING_MODEL_STORAGE_KEY]: modelData });
+    console.log('[EmbeddingClassifier] Model saved to chrome.storage');
+    return modelData;
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([EMBEDDING_MODEL_STORAGE_KEY]);
+    if (result[EMBEDDING_MODEL_STORAGE_KEY]) {
+      Object.assign(this, EmbeddingClassifier.fromJSON(result[EMBEDDING_MODEL_STORAGE_KEY]));
+      console.log('[EmbeddingClassifier] Model loaded from chrome.storage');
+      return true;
+    }
+    return false;
+  }
+}
+
+// Train on labelled records that carry an `embedding`, evaluated the same
+// way as trainFromRecords in simple-classifier.js so the two compare
+// directly: same stratified split, then a final model on everything.
+// `extraRecords` (custom topic examples) are only ever trained on.
+export function trainEmbeddingFromRecords(records, extraRecords = []) {
+  const split = stratifiedSplit(records);
+  const train = split.train.concat(extraRecords);
+  const test = split.test;
+
+  const heldOut = new EmbeddingClassifier();
+  heldOut.train(train.map(record => record.embedding), train.map(record => record.label));
+  const evaluation = evaluatePredictions(
+    test.map(record => record.label),
+    test.map(record => heldOut.classify(record.embedding).category),
+    heldOut.categories
+  );
+  console.log(`[EmbeddingClassifier] Held-out accuracy: ${(evaluation.accuracy * 100).toFixed(2)}%, macro F1: ${evaluation.macro.f1.toFixed(3)} on ${test.length} posts`);
+
+  const all = records.concat(extraRecords);
+  const classifier = new EmbeddingClassifier();
+  classifier.train(all.map(record => record.embedding), all.map(record => record.label));
+
+  return {
+    classifier,
+    evaluation: { ...evaluation, trainSize: train.length, trainedAt: Date.now() }
+  };
+}
@@ -0,0 +1,46 @@
+// embedding-model.js
+// Loads the bundled all-MiniLM-L6-v2 model with transformers.js, fully
+// offline. Shared by the offscreen document (titles seen while browsing) and
+// the training worker (labelled sample posts). Asset paths are resolved
+// against this module, since workers have no chrome.runtime.getURL.
+
+import { pipeline, env } from './libs/transformers/transformers.min.js';
+
+const LOCAL_MODEL_ROOT = new URL('./libs/models', import.meta.url).href;
+const LOCAL_MODEL_PATH = new URL('./libs/models/all-MiniLM-L6-v2', import.meta.url).href;
+const LOCAL_WASM_PATH = new URL('./libs/onnxruntime/', import.meta.url).href;
+
+// Configure transformers.js to operate fully offline with local assets
+env.allowRemoteModels = false;
+env.allowLocalModels = true;
+env.useBrowserCache = false;
+env.localModelPath = LOCAL_MODEL_ROOT;
+env.backends.onnx.wasm.wasmPaths = LOCAL_WASM_PATH;
+env.backends.onnx.wasm.numThreads = 1;
+env.backends.onnx.wasm.simd = true;
+
+let embeddingPipelinePromise = null;
+
+export function loadEmbeddingPipeline() {
+  if (!embeddingPipelinePromise) {
+    embeddingPipelinePromise = pipeline('feature-extraction', LOCAL_MODEL_PATH).catch((error) => {
+      embeddingPipelinePromise = null; // let the next batch try again
+      throw error;
+    });
+  }
+  return embeddingPipelinePromise;
+}
+
+// One mean-pooled, normalized vector per text
+export async function embedBatch(texts) {
+  const extractor = await loadEmbeddingPipeline();
+  const result = await extractor(texts, {
+    pooling: 'mean',
+    normalize: true
+  });
+  const dims = result.dims[result.dims.length - 1];
+  const data = Array.from(result.data ?? []);
+  return texts.map((text, index) =>
+    data.slice(index * dims, (index + 1) * dims).map(value => Number(Number(value).toFixed(6)))
+  );
+}
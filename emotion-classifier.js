@@ -0,0 +1,24 @@
+// emotion-classifier.js
+// Emotion of a title, trained on the `main_emotion` column of the bundled
+// sample posts (neutral, admiration, curiosity, anger, fear, joy, ...). The
+// same Naive Bayes model as the topics, kept under its own storage key and
+// scored as titles come in, next to sentiment (see background.js).
+
+import { SimpleClassifier, trainFromRecords } from './simple-classifier.js';
+import { DEFAULT_FEATURE_CONFIG } from './text-features.js';
+
+export const EMOTION_MODEL_STORAGE_KEY = 'emotion-classifier-model';
+export const EMOTION_EVALUATION_STORAGE_KEY = 'emotion-classifier-evaluation';
+
+export class EmotionClassifier extends SimpleClassifier {
+  static storageKey = EMOTION_MODEL_STORAGE_KEY;
+}
+
+// Train on sample records with an emotion, evaluated like the topic model
+export function trainEmotionFromRecords(records, featureConfig = DEFAULT_FEATURE_CONFIG) {
+  const labelled = records
+    .filter(record => record.emotion)
+    .map(record => ({ text: record.text, label: record.emotion, language: record.language }));
+  const { classifier, evaluation } = trainFromRecords(labelled, () => {}, [], featureConfig);
+  return { classifier: EmotionClassifier.fromJSON(classifier.toJSON()), evaluation };
+}
@@ -0,0 +1,599 @@
+// event-store.js
+// IndexedDB-backed engagement history for the background service worker.
+//
+// Stores:
+//   events  - append-only log of every engagement/media message, indexed by
+//             time (ts), day, domain and topic
+//   daily   - materialized per-day aggregates (the "day record" with its
+//             hourly buckets), kept up to date as events are appended and
+//             rebuildable from the event log at any time
+//   samples - embedding samples per day (kept out of the daily record)
+//   rollups - weekly ('week:YYYY-MM-DD', keyed by the Monday) and monthly
+//             ('month:YYYY-MM') totals for days past the daily retention window
+//   embeddings - binary title-embedding cache (see embedding-cache.js)
+//   inference_jobs - events whose title still needs a topic and embedding
+//             (see inference-queue.js)
+//   posts   - every distinct post seen, with its views and total dwell time,
+//             for recognizing repeat views (see post-dedup.js)
+//   meta    - bookkeeping such as finished migrations
+
+import {
+  applyEvent,
+  applyEventTopic,
+  applyRepeatDetected,
+  removeEventTopic,
+  buildDayRecord,
+  createDayRecord,
+  isUniquePost,
+  noteTimeZone,
+  upgradeDayRecord
+} from './day-aggregates.js';
+import {
+  NEAR_DUPLICATE_WINDOW_MS,
+  postKeys,
+  createPost,
+  addEventToPost,
+  mergePosts,
+  findNearDuplicate
+} from './post-dedup.js';
+import { encodeVector, decodeVector } from './vectors.js';
+import { startOfLocalDay } from './time-buckets.js';
+
+const DB_NAME = 'horizon';
+const DB_VERSION = 5;
+const MAX_EMBEDDING_SAMPLES_PER_DAY = 50;
+
+export const STORE_EVENTS = 'events';
+export const STORE_DAILY = 'daily';
+export const STORE_SAMPLES = 'samples';
+export const STORE_ROLLUPS = 'rollups';
+export const STORE_EMBEDDINGS = 'embeddings';
+export const STORE_INFERENCE_JOBS = 'inference_jobs';
+export const STORE_POSTS = 'posts';
+export const STORE_META = 'meta';
+
+let dbPromise = null;
+
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_EVENTS)) {
+          const events = db.createObjectStore(STORE_EVENTS, { keyPath: 'id', autoIncrement: true });
+          events.createIndex('ts', 'ts');
+          events.createIndex('day', 'day');
+          events.createIndex('domain', 'domain');
+          events.createIndex('topic', 'topic');
+        }
+        if (!db.objectStoreNames.contains(STORE_DAILY)) {
+          db.createObjectStore(STORE_DAILY, { keyPath: 'day' });
+        }
+        if (!db.objectStoreNames.contains(STORE_SAMPLES)) {
+          db.createObjectStore(STORE_SAMPLES, { keyPath: 'day' });
+        }
+        if (!db.objectStoreNames.contains(STORE_ROLLUPS)) {
+          db.createObjectStore(STORE_ROLLUPS, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(STORE_EMBEDDINGS)) {
+          const embeddings = db.createObjectStore(STORE_EMBEDDINGS, { keyPath: 'hash' });
+          embeddings.createIndex('lastUsedAt', 'lastUsedAt');
+        }
+        if (!db.objectStoreNames.contains(STORE_INFERENCE_JOBS)) {
+          db.createObjectStore(STORE_INFERENCE_JOBS, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(STORE_POSTS)) {
+          const posts = db.createObjectStore(STORE_POSTS, { keyPath: 'id', autoIncrement: true });
+          posts.createIndex('keys', 'keys', { multiEntry: true });
+          posts.createIndex('lastSeenAt', 'lastSeenAt');
+        }
+        if (!db.objectStoreNames.contains(STORE_META)) {
+          db.createObjectStore(STORE_META, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Promise wrapper for a single IDBRequest
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run `work(stores)` inside one transaction and resolve once it commits.
+// `work` may only await IndexedDB requests, otherwise the transaction
+// auto-commits early.
+export async function withTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeNames, mode);
+  const stores = {};
+  for (const name of storeNames) {
+    stores[name] = tx.objectStore(name);
+  }
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+  let result;
+  try {
+    result = await work(stores);
+  } catch (error) {
+    try {
+      tx.abort();
+    } catch (abortError) {
+      // already finished
+    }
+    done.catch(() => {}); // the abort rejects `done`; `error` is what we report
+    throw error;
+  }
+  await done;
+  return result;
+}
+
+async function appendSamples(store, day, samples) {
+  const entry = await requestToPromise(store.get(day));
+  const merged = (entry ? entry.samples : []).concat(samples);
+  await requestToPromise(store.put({ ...entry, day, samples: merged.slice(-MAX_EMBEDDING_SAMPLES_PER_DAY) }));
+}
+
+// Match an engagement event to the post it belongs to, creating the post on
+// first sight. A new-post event for a post seen before becomes a repeat view.
+async function recordPostView(postStore, event) {
+  const keys = postKeys(event);
+  if (keys.length === 0) {
+    return;
+  }
+  let post = null;
+  for (const key of keys) {
+    post = await requestToPromise(postStore.index('keys').get(key));
+    if (post) {
+      break;
+    }
+  }
+  if (post) {
+    if (event.newPost) {
+      event.uniquePost = false;
+      event.repeatOf = post.id;
+    }
+    addEventToPost(post, event, keys);
+  } else {
+    post = createPost(event, keys);
+    event.uniquePost = event.newPost;
+  }
+  event.postRef = await requestToPromise(postStore.put(post));
+}
+
+// Append events to the log and fold them into their daily aggregates in the
+// same transaction, so the aggregates never drift from the log.
+// `needsInference` lists those events whose title still has to be classified
+// (see inference-queue.js).
+export async function appendEvents(events, needsInference = []) {
+  const storeNames = [STORE_EVENTS, STORE_DAILY, STORE_INFERENCE_JOBS, STORE_POSTS];
+  return withTransaction(storeNames, 'readwrite', async (stores) => {
+    const records = new Map();
+    for (const event of events) {
+      if (event.kind === 'engagement') {
+        await recordPostView(stores[STORE_POSTS], event);
+      }
+      event.id = await requestToPromise(stores[STORE_EVENTS].add(event));
+      if (needsInference.includes(event)) {
+        await requestToPromise(stores[STORE_INFERENCE_JOBS].add({
+          eventId: event.id,
+          title: event.title,
+          attempts: 0,
+          enqueuedAt: event.ts
+        }));
+      }
+      let record = records.get(event.day);
+      if (!record) {
+        const stored = await requestToPromise(stores[STORE_DAILY].get(event.day));
+        record = noteTimeZone(stored || createDayRecord(event.day));
+        records.set(event.day, record);
+      }
+      applyEvent(record, event);
+    }
+    for (const record of records.values()) {
+      await requestToPromise(stores[STORE_DAILY].put(record));
+    }
+    return records;
+  });
+}
+
+// Oldest pending inference jobs
+export async function getInferenceJobs(limit) {
+  return withTransaction([STORE_INFERENCE_JOBS], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_INFERENCE_JOBS].getAll(null, limit))
+  );
+}
+
+// Count an attempt on each job before running it, so a job that keeps
+// crashing the inference worker eventually gives up. Jobs past `maxAttempts`
+// are deleted; the rest are returned.
+export async function startInferenceAttempt(jobs, maxAttempts) {
+  return withTransaction([STORE_INFERENCE_JOBS], 'readwrite', async (stores) => {
+    const runnable = [];
+    for (const job of jobs) {
+      if (job.attempts >= maxAttempts) {
+        console.warn(`[Horizon] Giving up on inference for event ${job.eventId} after ${job.attempts} attempts`);
+        await requestToPromise(stores[STORE_INFERENCE_JOBS].delete(job.id));
+        continue;
+      }
+      job.attempts += 1;
+      await requestToPromise(stores[STORE_INFERENCE_JOBS].put(job));
+      runnable.push(job);
+    }
+    return runnable;
+  });
+}
+
+// Recently seen posts that have an embedding, as near-duplicate candidates
+async function loadRecentPostVectors(postStore, since) {
+  const posts = await requestToPromise(postStore.index('lastSeenAt').getAll(IDBKeyRange.lowerBound(since)));
+  return posts
+    .filter(post => post.embedding)
+    .map(post => ({ post, vector: decodeVector(post.embedding) }));
+}
+
+// If the event's post is nearly identical to a recently seen one, merge it
+// into that post and stop counting the event as unique. Otherwise remember
+// the post's embedding for later comparisons.
+async function resolveNearDuplicate(postStore, candidates, event, record, embedding) {
+  const post = event.postRef ? await requestToPromise(postStore.get(event.postRef)) : null;
+  if (!post) {
+    return;
+  }
+  if (!isUniquePost(event)) {
+    return; // already an exact repeat
+  }
+  const match = findNearDuplicate(embedding, candidates.filter(candidate => candidate.post.id !== post.id));
+  if (match) {
+    mergePosts(match.post, post);
+    await requestToPromise(postStore.put(match.post));
+    await requestToPromise(postStore.delete(post.id));
+    if (record) {
+      applyRepeatDetected(record, event);
+    }
+    event.uniquePost = false;
+    event.repeatOf = match.post.id;
+    event.postRef = match.post.id;
+    return;
+  }
+  post.embedding = encodeVector(embedding);
+  post.topic = event.topic;
+  await requestToPromise(postStore.put(post));
+  candidates.push({ post, vector: embedding });
+}
+
+// Write inference results ({ jobId, eventId, topic, predictedTopic,
+// confidence, embeddingHash, embedding }) into their events, fold repeats of
+// recently seen posts into them, add the topics to the daily aggregates and
+// keep embedding samples for unique posts, then delete the jobs - all in one
+// transaction. Returns the events that got a topic.
+export async function applyInferenceResults(results) {
+  const storeNames = [STORE_EVENTS, STORE_DAILY, STORE_SAMPLES, STORE_INFERENCE_JOBS, STORE_POSTS];
+  return withTransaction(storeNames, 'readwrite', async (stores) => {
+    const records = new Map();
+    const classified = [];
+    let candidates = null;
+    for (const result of results) {
+      await requestToPromise(stores[STORE_INFERENCE_JOBS].delete(result.jobId));
+      const event = await requestToPromise(stores[STORE_EVENTS].get(result.eventId));
+      if (!event || event.topic) {
+        continue; // purged meanwhile, or already classified
+      }
+      if (!records.has(event.day)) {
+        records.set(event.day, await requestToPromise(stores[STORE_DAILY].get(event.day)));
+      }
+      const record = records.get(event.day);
+      const hasEmbedding = Array.isArray(result.embedding) && result.embedding.length > 0;
+
+      if (hasEmbedding && event.newPost) {
+        if (!candidates) {
+          candidates = await loadRecentPostVectors(stores[STORE_POSTS], event.ts - NEAR_DUPLICATE_WINDOW_MS);
+        }
+        await resolveNearDuplicate(stores[STORE_POSTS], candidates, event, record, result.embedding);
+      }
+
+      event.topic = result.topic || null;
+      event.predictedTopic = result.predictedTopic || null;
+      event.topicConfidence = typeof result.confidence === 'number' ? result.confidence : null;
+      event.embeddingHash = result.embeddingHash || null;
+      await requestToPromise(stores[STORE_EVENTS].put(event));
+
+      if (event.topic) {
+        if (record) {
+          applyEventTopic(record, event);
+        }
+        classified.push(event);
+      }
+      if (hasEmbedding && isUniquePost(event)) {
+        await appendSamples(stores[STORE_SAMPLES], event.day, [{
+          domain: event.domain,
+          contentType: event.contentType,
+          topic: event.topic,
+          confidence: event.topicConfidence,
+          postId: event.postId,
+          hash: event.embeddingHash,
+          embedding: result.embedding,
+          capturedAt: event.ts
+        }]);
+      }
+    }
+    for (const record of records.values()) {
+      if (record) {
+        await requestToPromise(stores[STORE_DAILY].put(record));
+      }
+    }
+    return classified;
+  });
+}
+
+// Give events a topic chosen by the user, moving their time to it in the
+// daily aggregates and their embedding samples. The topic counts as certain
+// (confidence 1). Returns the updated events.
+export async function relabelEvents(eventIds, topic) {
+  return withTransaction([STORE_EVENTS, STORE_DAILY, STORE_SAMPLES], 'readwrite', async (stores) => {
+    const records = new Map();
+    const relabeled = [];
+    for (const id of eventIds) {
+      const event = await requestToPromise(stores[STORE_EVENTS].get(id));
+      if (!event || event.kind === 'media') {
+        continue;
+      }
+      if (!records.has(event.day)) {
+        records.set(event.day, await requestToPromise(stores[STORE_DAILY].get(event.day)));
+      }
+      const record = records.get(event.day);
+      if (record) {
+        removeEventTopic(record, event);
+      }
+      Object.assign(event, { topic, predictedTopic: topic, topicConfidence: 1, topicSource: 'user' });
+      if (record) {
+        applyEventTopic(record, event);
+      }
+      await requestToPromise(stores[STORE_EVENTS].put(event));
+      relabeled.push(event);
+    }
+
+    for (const [day, record] of records) {
+      if (record) {
+        await requestToPromise(stores[STORE_DAILY].put(record));
+      }
+      const hashes = new Set(relabeled
+        .filter(event => event.day === day && event.embeddingHash)
+        .map(event => event.embeddingHash));
+      const entry = await requestToPromise(stores[STORE_SAMPLES].get(day));
+      if (entry && entry.samples.some(sample => hashes.has(sample.hash))) {
+        entry.samples.forEach(sample => {
+          if (hashes.has(sample.hash)) {
+            Object.assign(sample, { topic, confidence: 1 });
+          }
+        });
+        await requestToPromise(stores[STORE_SAMPLES].put(entry));
+      }
+    }
+    return relabeled;
+  });
+}
+
+// Recompute a day's aggregate from the event log. Days whose events were
+// purged by the retention policy are kept as they are.
+export async function rebuildDaily(day) {
+  return withTransaction([STORE_EVENTS, STORE_DAILY], 'readwrite', async (stores) => {
+    const existing = await requestToPromise(stores[STORE_DAILY].get(day));
+    if (existing?.eventsPurged) {
+      return existing;
+    }
+    const events = await requestToPromise(stores[STORE_EVENTS].index('day').getAll(day));
+    const record = buildDayRecord(day, events, existing?.legacyBase || null);
+    await requestToPromise(stores[STORE_DAILY].put(record));
+    return record;
+  });
+}
+
+// Bring in a day recorded before the event log existed. Its totals, with
+// the fields older versions did not write filled in, become the day's
+// `legacyBase`; any events already logged for the day are applied on top.
+// Safe to run again for the same day.
+export async function importLegacyDay(day, legacyRecord, legacySamples = []) {
+  const { embeddingSamples, ...legacyBase } = upgradeDayRecord({ ...legacyRecord, day });
+  const samples = (Array.isArray(embeddingSamples) ? embeddingSamples : []).concat(legacySamples);
+  await withTransaction([STORE_EVENTS, STORE_DAILY, STORE_SAMPLES], 'readwrite', async (stores) => {
+    const events = await requestToPromise(stores[STORE_EVENTS].index('day').getAll(day));
+    const record = buildDayRecord(day, events, { ...legacyBase, legacy: true });
+    await requestToPromise(stores[STORE_DAILY].put(record));
+    const entry = await requestToPromise(stores[STORE_SAMPLES].get(day));
+    if (samples.length > 0 && !entry?.legacyImported) {
+      const merged = samples.concat(entry ? entry.samples : []);
+      await requestToPromise(stores[STORE_SAMPLES].put({
+        day,
+        samples: merged.slice(-MAX_EMBEDDING_SAMPLES_PER_DAY),
+        legacyImported: true
+      }));
+    }
+  });
+}
+
+// Rewrite every daily aggregate through `update(record) => record`
+export async function updateAllDaily(update) {
+  await withTransaction([STORE_DAILY], 'readwrite', async (stores) => {
+    const records = await requestToPromise(stores[STORE_DAILY].getAll());
+    for (const record of records) {
+      await requestToPromise(stores[STORE_DAILY].put(update(record)));
+    }
+  });
+}
+
+// Delete logged events and embedding samples of every day before `beforeDay`,
+// and posts last seen before it. The days' aggregates stay and are flagged
+// `eventsPurged`.
+export async function purgeDetailBefore(beforeDay) {
+  const range = IDBKeyRange.upperBound(beforeDay, true);
+  const storeNames = [STORE_EVENTS, STORE_DAILY, STORE_SAMPLES, STORE_POSTS];
+  return withTransaction(storeNames, 'readwrite', async (stores) => {
+    const postIds = await requestToPromise(
+      stores[STORE_POSTS].index('lastSeenAt').getAllKeys(IDBKeyRange.upperBound(startOfLocalDay(beforeDay), true))
+    );
+    for (const key of postIds) {
+      await requestToPromise(stores[STORE_POSTS].delete(key));
+    }
+
+    const eventKeys = await requestToPromise(stores[STORE_EVENTS].index('day').getAllKeys(range));
+    for (const key of eventKeys) {
+      await requestToPromise(stores[STORE_EVENTS].delete(key));
+    }
+    const sampleDays = await requestToPromise(stores[STORE_SAMPLES].getAllKeys(range));
+    await requestToPromise(stores[STORE_SAMPLES].delete(range));
+
+    const records = await requestToPromise(stores[STORE_DAILY].getAll(range));
+    for (const record of records.filter(record => !record.eventsPurged)) {
+      record.eventsPurged = true;
+      await requestToPromise(stores[STORE_DAILY].put(record));
+    }
+    return { events: eventKeys.length, sampleDays: sampleDays.length, posts: postIds.length };
+  });
+}
+
+// Fold every daily aggregate before `beforeDay` into its rollups and delete
+// it, one day per step so each day is either still daily or fully rolled up.
+// `rollupKeys(day)` names the rollups a day belongs to and
+// `fold(rollup | undefined, key, record)` returns the updated rollup.
+export async function rollUpDailyBefore(beforeDay, rollupKeys, fold) {
+  const range = IDBKeyRange.upperBound(beforeDay, true);
+  const days = await withTransaction([STORE_DAILY], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_DAILY].getAllKeys(range))
+  );
+  for (const day of days) {
+    await withTransaction([STORE_DAILY, STORE_ROLLUPS], 'readwrite', async (stores) => {
+      const record = await requestToPromise(stores[STORE_DAILY].get(day));
+      if (!record) {
+        return;
+      }
+      for (const key of rollupKeys(day)) {
+        const rollup = await requestToPromise(stores[STORE_ROLLUPS].get(key));
+        await requestToPromise(stores[STORE_ROLLUPS].put(fold(rollup, key, record)));
+      }
+      await requestToPromise(stores[STORE_DAILY].delete(day));
+    });
+  }
+  return days.length;
+}
+
+// Rollups with fromKey <= key <= toKey, e.g. ('month:2024-01', 'month:2024-06')
+export async function getRollups(fromKey, toKey) {
+  return withTransaction([STORE_ROLLUPS], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_ROLLUPS].getAll(IDBKeyRange.bound(fromKey, toKey)))
+  );
+}
+
+// Number of records in each history store
+export async function getStoreCounts() {
+  const names = [STORE_EVENTS, STORE_DAILY, STORE_SAMPLES, STORE_ROLLUPS, STORE_INFERENCE_JOBS, STORE_POSTS];
+  return withTransaction(names, 'readonly', async (stores) => {
+    const counts = {};
+    for (const name of names) {
+      counts[name] = await requestToPromise(stores[name].count());
+    }
+    return counts;
+  });
+}
+
+export async function getDaily(day) {
+  return withTransaction([STORE_DAILY], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_DAILY].get(day))
+  );
+}
+
+// Daily aggregates for every day in [fromDay, toDay] (YYYY-MM-DD, inclusive)
+export async function getDailyRange(fromDay, toDay) {
+  return withTransaction([STORE_DAILY], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_DAILY].getAll(IDBKeyRange.bound(fromDay, toDay)))
+  );
+}
+
+// Events with fromTs <= ts < toTs, oldest first
+export async function getEventsInRange(fromTs, toTs) {
+  return withTransaction([STORE_EVENTS], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_EVENTS].index('ts').getAll(IDBKeyRange.bound(fromTs, toTs, false, true)))
+  );
+}
+
+export async function getEventsForDay(day) {
+  return withTransaction([STORE_EVENTS], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_EVENTS].index('day').getAll(day))
+  );
+}
+
+// Events logged on any day in [fromDay, toDay] (YYYY-MM-DD, inclusive)
+export async function getEventsForDayRange(fromDay, toDay) {
+  return withTransaction([STORE_EVENTS], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_EVENTS].index('day').getAll(IDBKeyRange.bound(fromDay, toDay)))
+  );
+}
+
+export async function getSamples(day) {
+  const entry = await withTransaction([STORE_SAMPLES], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_SAMPLES].get(day))
+  );
+  return entry ? entry.samples : [];
+}
+
+// Embedding samples of a day range, each with its `day`
+export async function getSamplesForDayRange(fromDay, toDay) {
+  const entries = await withTransaction([STORE_SAMPLES], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_SAMPLES].getAll(IDBKeyRange.bound(fromDay, toDay)))
+  );
+  return entries.flatMap(entry => entry.samples.map(sample => ({ ...sample, day: entry.day })));
+}
+
+export async function getMeta(key) {
+  const entry = await withTransaction([STORE_META], 'readonly', (stores) =>
+    requestToPromise(stores[STORE_META].get(key))
+  );
+  return entry ? entry.value : undefined;
+}
+
+export async function setMeta(key, value) {
+  await withTransaction([STORE_META], 'readwrite', (stores) =>
+    requestToPromise(stores[STORE_META].put({ key, value }))
+  );
+}
+
+// Everything in the history stores, for the options page export
+export async function exportAll() {
+  return withTransaction([STORE_EVENTS, STORE_DAILY, STORE_SAMPLES, STORE_ROLLUPS], 'readonly', async (stores) => ({
+    events: await requestToPromise(stores[STORE_EVENTS].getAll()),
+    daily: await requestToPromise(stores[STORE_DAILY].getAll()),
+    samples: await requestToPromise(stores[STORE_SAMPLES].getAll()),
+    rollups: await requestToPromise(stores[STORE_ROLLUPS].getAll())
+  }));
+}
+
+export async function clearAll() {
+  const names = [
+    STORE_EVENTS,
+    STORE_DAILY,
+    STORE_SAMPLES,
+    STORE_ROLLUPS,
+    STORE_EMBEDDINGS,
+    STORE_INFERENCE_JOBS,
+    STORE_POSTS,
+    STORE_META
+  ];
+  await withTransaction(names, 'readwrite', async (stores) => {
+    for (const store of Object.values(stores)) {
+      await requestToPromise(store.clear());
+    }
+  });
+}
@@ -0,0 +1,202 @@
+// inference-queue.js
+// Deferred topic classification and title embedding for engagement events.
+// Engagement is stored as soon as it arrives; events whose title should be
+// classified get a job in the `inference_jobs` store (see appendEvents).
+// The runner here works through those jobs in batches: titles missing from
+// the embedding cache are embedded together by the offscreen document
+// (offscreen.js), which keeps the model loaded while the service worker
+// comes and goes. Jobs stay queued until their result is written, so a batch
+// cut short by a worker restart simply runs again; a job that fails
+// MAX_INFERENCE_ATTEMPTS times is dropped.
+
+import { getInferenceJobs, startInferenceAttempt } from './event-store.js';
+import { getCachedEmbedding, putCachedEmbeddings } from './embedding-cache.js';
+
+const OFFSCREEN_URL = 'offscreen.html';
+export const INFERENCE_BATCH_SIZE = 16;
+export const MAX_INFERENCE_ATTEMPTS = 5;
+const EMBED_TIMEOUT_MS = 2 * 60 * 1000; // generous: the first batch loads the model
+
+export async function hashText(text) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(text);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+let creatingOffscreen = null;
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  if (contexts.length > 0) {
+    return;
+  }
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['WORKERS'],
+      justification: 'Runs the on-device embedding model outside the service worker'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Embed several texts in one round trip to the offscreen document
+async function embedTexts(texts) {
+  await ensureOffscreenDocument();
+  const response = await withTimeout(
+    chrome.runtime.sendMessage({ target: 'offscreen', type: 'embed_batch', texts }),
+    EMBED_TIMEOUT_MS,
+    'Inference document did not answer in time'
+  );
+  if (!response || response.error || !Array.isArray(response.embeddings)) {
+    throw new Error(response?.error || 'No response from the inference document');
+  }
+  return response.embeddings;
+}
+
+// Embeddings for texts keyed by their hash (hash -> text), as a map
+// hash -> vector, from the cache where possible
+async function embedByHash(textsByHash) {
+  const byHash = new Map();
+  const missing = new Map(); // hash -> text
+  for (const [hash, text] of textsByHash) {
+    let cached = null;
+    try {
+      cached = await getCachedEmbedding(hash);
+    } catch (error) {
+      console.error('[Horizon] Embedding cache lookup failed:', error);
+    }
+    if (cached) {
+      byHash.set(hash, cached);
+    } else {
+      missing.set(hash, text);
+    }
+  }
+  if (missing.size > 0) {
+    const hashes = Array.from(missing.keys());
+    const embeddings = await embedTexts(Array.from(missing.values()));
+    const fresh = hashes.map((hash, index) => ({ hash, embedding: embeddings[index] }));
+    fresh.forEach(({ hash, embedding }) => byHash.set(hash, embedding));
+    try {
+      await putCachedEmbeddings(fresh);
+    } catch (error) {
+      console.error('[Horizon] Failed to cache embeddings:', error);
+    }
+  }
+  return byHash;
+}
+
+// Embeddings for the jobs' titles (hash -> vector)
+function embedJobs(jobs) {
+  return embedByHash(new Map(jobs.map(job => [job.hash, job.title])));
+}
+
+// One embedding per text (e.g. custom topic examples), in order
+export async function embedPhrases(texts) {
+  const hashes = [];
+  for (const text of texts) {
+    hashes.push(await hashText(text));
+  }
+  const byHash = await embedByHash(new Map(hashes.map((hash, index) => [hash, texts[index]])));
+  return hashes.map(hash => byHash.get(hash));
+}
+
+// Classify and embed one batch of jobs. If embedding fails, jobs on their
+// last attempt are still classified (without an embedding) and the error is
+// rethrown so the rest wait for a later run.
+async function runBatch(jobs, classify) {
+  for (const job of jobs) {
+    job.hash = await hashText(job.title);
+  }
+
+  let embeddings = new Map();
+  let embedError = null;
+  let batch = jobs;
+  try {
+    embeddings = await embedJobs(jobs);
+  } catch (error) {
+    embedError = error;
+    batch = jobs.filter(job => job.attempts >= MAX_INFERENCE_ATTEMPTS);
+  }
+
+  const results = [];
+  for (const job of batch) {
+    const { topic, predictedTopic, confidence } = await classify(job.title, embeddings.get(job.hash) || null);
+    results.push({
+      jobId: job.id,
+      eventId: job.eventId,
+      topic,
+      predictedTopic,
+      confidence,
+      embeddingHash: embeddings.has(job.hash) ? job.hash : null,
+      embedding: embeddings.get(job.hash) || null
+    });
+  }
+  return { results, error: embedError };
+}
+
+// Create the single-flight runner.
+// `classify(title, embedding)` resolves to { topic, predictedTopic,
+// confidence } (any of them may be null).
+// `embedding` is null when the title could not be embedded.
+// `applyResults(results)` writes a batch of results and resolves once they
+// are stored.
+export function createInferenceRunner({ classify, applyResults }) {
+  let running = null;
+  let requested = false;
+
+  async function drain() {
+    for (;;) {
+      const pending = await getInferenceJobs(INFERENCE_BATCH_SIZE);
+      if (pending.length === 0) {
+        return;
+      }
+      const jobs = await startInferenceAttempt(pending, MAX_INFERENCE_ATTEMPTS);
+      if (jobs.length === 0) {
+        continue;
+      }
+      const { results, error } = await runBatch(jobs, classify);
+      if (results.length > 0) {
+        await applyResults(results);
+        console.log(`[Horizon] Classified ${results.length} queued title(s)`);
+      }
+      if (error) {
+        throw error;
+      }
+    }
+  }
+
+  // Work through the queue; resolves when it is empty or a batch failed
+  return function run() {
+    if (running) {
+      requested = true; // jobs may have been added after the last check
+      return running;
+    }
+    running = drain()
+      .catch(error => console.error('[Horizon] Inference batch failed; will retry:', error))
+      .finally(() => {
+        running = null;
+        if (requested) {
+          requested = false;
+          run();
+        }
+      });
+    return running;
+  };
+}
@@ -0,0 +1,215 @@
+// interest-clusters.js
+// Unsupervised interest discovery: the embedding samples of recent days
+// (see event-store.js) are grouped with spherical k-means, so titles about
+// the same thing end up together whatever topic, if any, they were given.
+// Each cluster is labelled with its most telling words and the titles
+// closest to its centre, and compared between this week and the weeks
+// before to find interests that are new, growing or shrinking.
+
+import { cosineSimilarity } from './vectors.js';
+import { extractFeatures } from './text-features.js';
+
+export const INTERESTS_META_KEY = 'emerging_interests';
+export const RECENT_DAYS = 7; // "this week"
+export const WINDOW_DAYS = 28; // this week plus three weeks to compare with
+const MIN_SAMPLES = 20; // fewer samples than this are not clustered
+const MAX_CLUSTERS = 12;
+const ITERATIONS = 25;
+const MIN_CLUSTER_SIZE = 3; // smaller clusters are left out of the result
+// A cluster whose share of this week's samples is this many times its share
+// of the weeks before is growing (and the other way round shrinking)
+const TREND_RATIO = 2;
+const KEYWORDS_PER_CLUSTER = 4;
+const TITLES_PER_CLUSTER = 3;
+const KEYWORD_FEATURES = { specialTokens: false, stopwords: true, stemming: false, bigrams: false, tfidf: false };
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+// Small seeded generator, so the same samples always give the same clusters
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Number of clusters for `count` samples: about sqrt(count / 2)
+export function clusterCount(count) {
+  return Math.max(2, Math.min(MAX_CLUSTERS, Math.round(Math.sqrt(count / 2))));
+}
+
+// k-means++ seeding: each next centre is picked with probability growing
+// with its distance (1 - cosine similarity) to the nearest centre so far
+function seedCentroids(vectors, k, random) {
+  const centroids = [vectors[Math.floor(random() * vectors.length)]];
+  const distances = vectors.map(vector => 1 - cosineSimilarity(vector, centroids[0]));
+  while (centroids.length < k) {
+    const total = distances.reduce((sum, distance) => sum + distance, 0);
+    if (total <= 0) {
+      break; // every sample sits on a centre already
+    }
+    let target = random() * total;
+    let index = 0;
+    while (index < vectors.length - 1 && target >= distances[index]) {
+      target -= distances[index];
+      index++;
+    }
+    centroids.push(vectors[index]);
+    vectors.forEach((vector, i) => {
+      distances[i] = Math.min(distances[i], 1 - cosineSimilarity(vector, vectors[index]));
+    });
+  }
+  return centroids;
+}
+
+// Spherical k-means over unit vectors: each sample joins the centre it is
+// most similar to, each centre becomes the normalized mean of its samples.
+// Returns { assignments, centroids }.
+export function clusterEmbeddings(vectors, k = clusterCount(vectors.length)) {
+  const random = seededRandom(vectors.length);
+  let centroids = seedCentroids(vectors, Math.min(k, vectors.length), random);
+  let assignments = new Array(vectors.length).fill(-1);
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    let changed = false;
+    assignments = vectors.map((vector, i) => {
+      let best = 0;
+      let bestSimilarity = -Infinity;
+      centroids.forEach((centroid, c) => {
+        const similarity = cosineSimilarity(vector, centroid);
+        if (similarity > bestSimilarity) {
+          bestSimilarity = similarity;
+          best = c;
+        }
+      });
+      changed = changed || best !== assignments[i];
+      return best;
+    });
+    if (!changed) {
+      break;
+    }
+    centroids = centroids.map((centroid, c) => {
+      const sum = new Array(centroid.length).fill(0);
+      let members = 0;
+      vectors.forEach((vector, i) => {
+        if (assignments[i] === c) {
+          vector.forEach((value, d) => {
+            sum[d] += value;
+          });
+          members++;
+        }
+      });
+      return members > 0 ? normalize(sum) : centroid; // an empty cluster keeps its centre
+    });
+  }
+  return { assignments, centroids };
+}
+
+// Words most typical of a cluster's titles: frequent in the cluster and
+// rarer elsewhere (count in cluster x cluster share of the word's uses).
+// `memberTitles` has one title per sample, repeats included, to match how
+// `wordTotals` is counted.
+function clusterKeywords(memberTitles, wordTotals) {
+  const counts = {};
+  for (const title of memberTitles) {
+    for (const word of new Set(extractFeatures(title, KEYWORD_FEATURES))) {
+      counts[word] = (counts[word] || 0) + 1;
+    }
+  }
+  return Object.entries(counts)
+    .filter(([, count]) => count >= 2)
+    .map(([word, count]) => [word, count * (count / wordTotals[word])])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, KEYWORDS_PER_CLUSTER)
+    .map(([word]) => word);
+}
+
+function trendOf(recentShare, earlierShare, earlierCount, hasHistory) {
+  if (!hasHistory) {
+    return 'steady'; // nothing to compare with yet
+  }
+  if (earlierCount === 0) {
+    return 'new';
+  }
+  if (recentShare >= TREND_RATIO * earlierShare) {
+    return 'growing';
+  }
+  if (earlierShare >= TREND_RATIO * recentShare) {
+    return 'shrinking';
+  }
+  return 'steady';
+}
+
+// Cluster samples ({ day, embedding, hash, domain }) and describe each
+// cluster. `titlesByHash` maps embedding hashes to titles; samples from
+// `recentFromDay` on count as this week. Returns { sampleCount,
+// recentCount, clusters: [{ keywords, titles, domains, size, recentCount,
+// earlierCount, recentShare, earlierShare, trend }] }, or null when there
+// are too few samples.
+export function discoverInterests(samples, titlesByHash, recentFromDay) {
+  const usable = samples.filter(sample => Array.isArray(sample.embedding) && sample.embedding.length > 0);
+  if (usable.length < MIN_SAMPLES) {
+    return null;
+  }
+  const dims = usable[0].embedding.length;
+  const points = usable.filter(sample => sample.embedding.length === dims);
+  const vectors = points.map(sample => normalize(sample.embedding));
+  const { assignments, centroids } = clusterEmbeddings(vectors);
+
+  const titleOf = sample => titlesByHash.get(sample.hash) || null;
+  const wordTotals = {};
+  for (const sample of points) {
+    const title = titleOf(sample);
+    for (const word of new Set(title ? extractFeatures(title, KEYWORD_FEATURES) : [])) {
+      wordTotals[word] = (wordTotals[word] || 0) + 1;
+    }
+  }
+
+  const isRecent = sample => sample.day >= recentFromDay;
+  const recentTotal = points.filter(isRecent).length;
+  const earlierTotal = points.length - recentTotal;
+
+  const clusters = centroids.map((centroid, c) => {
+    const members = points
+      .map((sample, i) => ({ sample, similarity: cosineSimilarity(vectors[i], centroid), cluster: assignments[i] }))
+      .filter(member => member.cluster === c)
+      .sort((a, b) => b.similarity - a.similarity);
+    const recentCount = members.filter(member => isRecent(member.sample)).length;
+    const earlierCount = members.length - recentCount;
+    const recentShare = recentTotal > 0 ? recentCount / recentTotal : 0;
+    const earlierShare = earlierTotal > 0 ? earlierCount / earlierTotal : 0;
+
+    const memberTitles = members.map(member => titleOf(member.sample)).filter(Boolean);
+    const titles = Array.from(new Set(memberTitles));
+    const domainCounts = {};
+    members.forEach(({ sample }) => {
+      domainCounts[sample.domain] = (domainCounts[sample.domain] || 0) + 1;
+    });
+    return {
+      keywords: clusterKeywords(memberTitles, wordTotals),
+      titles: titles.slice(0, TITLES_PER_CLUSTER),
+      domains: Object.entries(domainCounts).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([domain]) => domain),
+      size: members.length,
+      recentCount,
+      earlierCount,
+      recentShare: Number(recentShare.toFixed(4)),
+      earlierShare: Number(earlierShare.toFixed(4)),
+      trend: trendOf(recentShare, earlierShare, earlierCount, earlierTotal > 0 && recentTotal > 0)
+    };
+  });
+
+  return {
+    sampleCount: points.length,
+    recentCount: recentTotal,
+    clusters: clusters
+      .filter(cluster => cluster.size >= MIN_CLUSTER_SIZE)
+      .sort((a, b) => (b.recentShare - b.earlierShare) - (a.recentShare - a.earlierShare))
+  };
+}
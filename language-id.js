@@ -0,0 +1,134 @@
+// language-id.js
+// Local language identification of titles, with no model to train or
+// download. Titles in a script used by one language (kana, Hangul, Thai, ...)
+// are identified by their letters; Latin, Cyrillic and Arabic titles by
+// common function words and a few letters only one language uses. Returns
+// ISO 639-1 codes, or UNDETERMINED_LANGUAGE when a title is too short or
+// has no telling words.
+
+export const UNDETERMINED_LANGUAGE = 'und';
+
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+
+// Scripts of a single language
+const SCRIPT_LANGUAGES = [
+  ['ko', /\p{Script=Hangul}/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['th', /\p{Script=Thai}/gu],
+  ['hi', /\p{Script=Devanagari}/gu],
+  ['he', /\p{Script=Hebrew}/gu],
+  ['el', /\p{Script=Greek}/gu]
+];
+
+// Scripts shared by several languages, told apart by their letters and
+// function words below
+const SHARED_SCRIPTS = [
+  ['latin', /\p{Script=Latin}/gu],
+  ['cyrillic', /\p{Script=Cyrillic}/gu],
+  ['arabic', /\p{Script=Arabic}/gu]
+];
+
+const FUNCTION_WORDS = {
+  latin: {
+    en: 'the a an and is are was were of to in for on at by with that this it i you we he she they me my your our be been have has had not no but or if so what who how just from about will would can all out get like one more',
+    es: 'el la los las y es en de que por para con una un del al lo se no pero más muy este esta como está son hay ya también porque yo',
+    pt: 'os é em de que para com uma um do da dos das no na não mas mais muito este esta como está são isso eu você também ao pelo pela',
+    fr: 'le la les et est en de des que pour avec une un du au ce cette pas mais plus très sur dans qui sont je vous nous il elle',
+    de: 'der die das und ist in zu den mit für von ein eine nicht auf sich auch es ich sie wir aber wie noch nur sind dem des',
+    it: 'il lo la gli le e è di che per con una un del della non ma più molto questo questa come sono anche ho ci si io',
+    nl: 'de het een en is van in op dat met voor niet zijn maar ook dit die als ik je wat er nog wel naar',
+    id: 'yang dan di ini itu dengan untuk tidak ada dari akan saya kita kami pada juga sudah bisa atau karena',
+    tr: 've bir bu için ile çok daha ama gibi var değil olan ben sen mi mı bunu şey',
+    sv: 'och är det att en ett som på för med inte av jag till har den om men så',
+    fi: 'ja on ei se että oli kun mutta myös tai ovat olla minä hän me tämä',
+    vi: 'và của là có không một những được cho người này với các trong đã'
+  },
+  cyrillic: {
+    ru: 'и в не на что я с он как это по но из за то все так же от уже',
+    uk: 'і в не на що я з він як це по але та за то все так від вже'
+  },
+  arabic: {
+    ar: 'في من على أن إلى هذا التي الذي عن مع هذه كان لا ما هو',
+    fa: 'و در به از که این را با است برای آن یک هم تا نه'
+  }
+};
+
+// Letters one language of a shared script uses and its neighbours do not
+const LETTER_HINTS = {
+  latin: { es: /[ñ¿¡]/gu, pt: /[ãõ]/gu, de: /ß/gu, tr: /[ğış]/gu, vi: /[ơưđạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/gu },
+  cyrillic: { uk: /[іїєґ]/gu },
+  arabic: { fa: /[پچژگک]/gu }
+};
+
+const WORD_SETS = Object.fromEntries(Object.entries(FUNCTION_WORDS).map(([script, languages]) => [
+  script,
+  Object.fromEntries(Object.entries(languages).map(([language, words]) => [language, new Set(words.split(' '))]))
+]));
+
+// The default language of each shared script when no word or letter tells
+const SCRIPT_DEFAULTS = { latin: UNDETERMINED_LANGUAGE, cyrillic: 'ru', arabic: 'ar' };
+
+const MIN_LETTERS = 3;
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// Language of a text within a shared script: each function word scores a
+// point for every language that uses it, each telling letter two
+function identifyWithinScript(script, text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  const scores = {};
+  for (const [language, set] of Object.entries(WORD_SETS[script])) {
+    scores[language] = words.reduce((score, word) => score + (set.has(word) ? 1 : 0), 0);
+  }
+  for (const [language, pattern] of Object.entries(LETTER_HINTS[script] || {})) {
+    scores[language] += 2 * countMatches(text.toLowerCase(), pattern);
+  }
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked[0][1] === 0 || ranked[0][1] === ranked[1]?.[1]) {
+    return SCRIPT_DEFAULTS[script];
+  }
+  return ranked[0][0];
+}
+
+// ISO 639-1 code of a title's language, or UNDETERMINED_LANGUAGE
+export function detectLanguage(text) {
+  const value = String(text || '');
+  // Any kana makes a title Japanese, however many Han characters it has
+  if (countMatches(value, KANA) > 0) {
+    return 'ja';
+  }
+
+  const counts = SCRIPT_LANGUAGES.concat(SHARED_SCRIPTS)
+    .map(([name, pattern]) => [name, countMatches(value, pattern)]);
+  const [dominant, letters] = counts.sort((a, b) => b[1] - a[1])[0];
+  if (letters < MIN_LETTERS) {
+    return UNDETERMINED_LANGUAGE;
+  }
+  return dominant in WORD_SETS ? identifyWithinScript(dominant, value) : dominant;
+}
+
+// A model needs this many training posts in a language to classify it
+export const MIN_LANGUAGE_EXAMPLES = 200;
+
+// Training posts per language, from the sample data's `language` column or
+// detected for records without one (custom topic examples, corrections)
+export function countLanguages(records) {
+  const counts = {};
+  for (const record of records) {
+    const language = record.language || detectLanguage(record.text);
+    counts[language] = (counts[language] || 0) + 1;
+  }
+  return counts;
+}
+
+// Whether a model trained on `languageCounts` (from countLanguages) can
+// classify a title in `language`. Undetermined titles are tried anyway;
+// models trained before languages were counted only know English.
+export function isLanguageSupported(language, languageCounts) {
+  if (language === UNDETERMINED_LANGUAGE || language === 'en') {
+    return true;
+  }
+  return (languageCounts?.[language] || 0) >= MIN_LANGUAGE_EXAMPLES;
+}
@@ -0,0 +1,82 @@
+// model-evaluation.js
+// Held-out evaluation for the topic classifiers: a stratified train/test
+// split and per-class precision, recall and F1 with macro averages and a
+// confusion matrix. Pure functions, used by the training worker.
+// The options page keeps the latest evaluation and the one before it in
+// chrome.storage under EVALUATION_STORAGE_KEY, next to the model.
+
+export const EVALUATION_STORAGE_KEY = 'simple-classifier-evaluation';
+export const DEFAULT_TEST_FRACTION = 0.2;
+
+// Split records ({ label, ... }) so every label keeps `testFraction` of its
+// records for testing. Test records are spread evenly through each label's
+// records, so the split is deterministic and follows the file's date order.
+export function stratifiedSplit(records, testFraction = DEFAULT_TEST_FRACTION) {
+  const seenPerLabel = new Map();
+  const train = [];
+  const test = [];
+  for (const record of records) {
+    const seen = seenPerLabel.get(record.label) || 0;
+    seenPerLabel.set(record.label, seen + 1);
+    // True for the record that pushes this label's test share past the next whole number
+    if (Math.floor((seen + 1) * testFraction) > Math.floor(seen * testFraction)) {
+      test.push(record);
+    } else {
+      train.push(record);
+    }
+  }
+  return { train, test };
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+// Compare predicted with actual labels. `labels` fixes the row/column order
+// of the confusion matrix (actual label by row, predicted by column);
+// predictions outside it get a column of their own.
+export function evaluatePredictions(actual, predicted, labels) {
+  const order = [...labels];
+  for (const label of [...actual, ...predicted]) {
+    if (!order.includes(label)) {
+      order.push(label);
+    }
+  }
+  const index = new Map(order.map((label, i) => [label, i]));
+  const matrix = order.map(() => order.map(() => 0));
+  actual.forEach((label, i) => {
+    matrix[index.get(label)][index.get(predicted[i])]++;
+  });
+
+  const perClass = {};
+  let correct = 0;
+  order.forEach((label, i) => {
+    const truePositives = matrix[i][i];
+    const support = matrix[i].reduce((sum, count) => sum + count, 0);
+    const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0);
+    const precision = ratio(truePositives, predictedCount);
+    const recall = ratio(truePositives, support);
+    perClass[label] = {
+      precision,
+      recall,
+      f1: ratio(2 * precision * recall, precision + recall),
+      support
+    };
+    correct += truePositives;
+  });
+
+  // Macro averages over labels that occur in the test set
+  const scored = order.filter(label => perClass[label].support > 0);
+  const average = field => ratio(
+    scored.reduce((sum, label) => sum + perClass[label][field], 0),
+    scored.length
+  );
+
+  return {
+    accuracy: ratio(correct, actual.length),
+    macro: { precision: average('precision'), recall: average('recall'), f1: average('f1') },
+    perClass,
+    confusion: { labels: order, matrix },
+    testSize: actual.length
+  };
+}
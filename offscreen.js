@@ -0,0 +1,33 @@
+// offscreen.js
+// Offscreen document that runs the MiniLM embedding model for background.js.
+// The service worker may be suspended at any time; this document stays alive,
+// so the model is loaded once and kept warm between batches.
+//
+// Messages (from background.js, always with target: 'offscreen'):
+//   { type: 'embed_batch', texts: [string] } -> { embeddings: [[number]] }
+//   { type: 'ping' } -> { ready: true }
+
+import { loadEmbeddingPipeline, embedBatch } from './embedding-model.js';
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.target !== 'offscreen') {
+    return false; // content script, popup and options messages are for background.js
+  }
+  if (msg.type === 'ping') {
+    sendResponse({ ready: true });
+    return false;
+  }
+  if (msg.type === 'embed_batch') {
+    embedBatch(msg.texts || [])
+      .then(embeddings => sendResponse({ embeddings }))
+      .catch((error) => {
+        console.error('[Horizon] Embedding batch failed:', error);
+        sendResponse({ error: error.message || String(error) });
+      });
+    return true; // keep the message channel open for async reply
+  }
+  return false;
+});
+
+// Warm the model up as soon as the document exists
+loadEmbeddingPipeline().catch(error => console.error('[Horizon] Failed to load embedding model:', error));
@@ -1,4 +1,63 @@
 // options.js
+import { localDayKey } from './time-buckets.js';
+import { SimpleClassifier } from './simple-classifier.js';
+import { EVALUATION_STORAGE_KEY } from './model-evaluation.js';
+import {
+  EmbeddingClassifier,
+  EMBEDDING_EVALUATION_STORAGE_KEY
+} from './embedding-classifier.js';
+
+import {
+  CUSTOM_TOPICS_KEY,
+  MAX_CUSTOM_TOPIC_EXAMPLES,
+  normalizeCustomTopics,
+  customTopicRecords
+} from './custom-topics.js';
+
+import { CORRECTIONS_KEY, correctionRecords } from './topic-corrections.js';
+import { SentimentModel } from './sentiment-model.js';
+import { EmotionClassifier, EMOTION_EVALUATION_STORAGE_KEY } from './emotion-classifier.js';
+import { isLanguageSupported } from './language-id.js';
+import { normalizeFeatureConfig } from './text-features.js';
+
+const CLASSIFIER_MODE_NAMES = { naiveBayes: 'Naive Bayes', embedding: 'Embedding head' };
+// Shown next to the topic models in the evaluation table
+const EMOTION_MODEL_NAME = 'Emotions (Naive Bayes)';
+
+const DEFAULT_IDLE_TIMEOUT_SEC = 60;
+const DEFAULT_SESSION_GAP_MIN = 10;
+const DEFAULT_RETENTION_RAW_DAYS = 30;
+const DEFAULT_RETENTION_DAILY_DAYS = 365;
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.5;
+
+// Feature config step -> its checkbox in the ML section
+const FEATURE_CHECKBOXES = {
+  specialTokens: 'featureSpecialTokens',
+  stopwords: 'featureStopwords',
+  stemming: 'featureStemming',
+  bigrams: 'featureBigrams',
+  tfidf: 'featureTfidf'
+};
+
+function readFeatureConfig() {
+  return Object.fromEntries(Object.entries(FEATURE_CHECKBOXES).map(([step, id]) => [step, document.getElementById(id).checked]));
+}
+
+// The pipeline steps a stored model was trained with
+function describeFeatureConfig(featureConfig) {
+  if (!featureConfig) {
+    return 'plain words (retrain to use the current settings)';
+  }
+  const steps = Object.keys(FEATURE_CHECKBOXES).filter(step => featureConfig[step]);
+  return steps.length > 0 ? steps.join(', ') : 'plain words';
+}
+
+// Languages a model classifies (titles in others get "unsupported language")
+function describeLanguages(languages) {
+  const supported = Object.keys(languages || {}).filter(language => language !== 'und' && isLanguageSupported(language, languages));
+  return Array.from(new Set(['en', ...supported])).sort().join(', ');
+}
+
 // Wait for page to load and scripts to be available
 document.addEventListener('DOMContentLoaded', async () => {
   // Give scripts a moment to load
@@ -25,7 +84,7 @@ async function checkModelStatus(modelData) {
     const categories = modelData.categories || [];
     const uniqueWords = Object.keys(modelData.wordCounts || {}).length;
     const version = modelData.version || 1;
-    const totalWords = modelData.totalWords || 0;
+    const totalWords = Math.round(modelData.totalWords || 0); // TF-IDF weighted counts are fractional
     
     // Check if model has expected structure
     const hasAllCategories = categories.length >= 4; // Should have at least politics, sports, tech, entertainment
@@ -58,6 +117,8 @@ async function checkModelStatus(modelData) {
           <strong>Categories:</strong> ${categories.join(', ') || 'N/A'}<br>
           <strong>Vocabulary size:</strong> ${uniqueWords} words<br>
           <strong>Total words trained:</strong> ${totalWords}<br>
+          <strong>Text features:</strong> ${describeFeatureConfig(modelData.featureConfig)}<br>
+          <strong>Languages:</strong> ${describeLanguages(modelData.languages)}<br>
           <strong>Model version:</strong> ${version}<br>
           <span style="color: #718096; font-size: 12px; margin-top: 4px; display: block;">
             💡 You can retrain the model by clicking "Train Local Model" again.
@@ -81,19 +142,360 @@ async function checkModelStatus(modelData) {
   }
 }
 
+const TRAINING_PHASES = {
+  loading: 'Loading sample posts',
+  training: 'Training on sample posts',
+  evaluating: 'Measuring accuracy on held-out posts',
+  finalizing: 'Training the final model',
+  sentiment: 'Training the sentiment model',
+  emotion: 'Training the emotion model',
+  embedding: 'Embedding sample posts for the embedding head (this takes a few minutes)'
+};
+
+// Train the classifiers in training-worker.js; with `embedding` the
+// embedding head is trained too. `extraRecords` are added to the training
+// data (custom topic examples), `featureConfig` picks the Naive Bayes text
+// features. `onProgress(phase, done, total)` is called as the worker
+// reports; resolves to the worker's 'done' message.
+function trainInWorker(onProgress, { embedding = false, extraRecords = [], featureConfig } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker('training-worker.js', { type: 'module' });
+    worker.addEventListener('message', (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        onProgress(message.phase, message.done, message.total);
+        return;
+      }
+      worker.terminate();
+      if (message.type === 'done') {
+        resolve(message);
+      } else {
+        reject(new Error(message.message || 'Training failed'));
+      }
+    });
+    worker.addEventListener('error', (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Training worker failed to start'));
+    });
+    worker.postMessage({ type: 'train', embedding, extraRecords, featureConfig });
+  });
+}
+
+// Keep the new evaluation and the one it replaces, to compare retrains
+async function storeEvaluation(key, evaluation) {
+  const stored = (await chrome.storage.local.get([key]))[key];
+  const record = { current: evaluation, previous: stored?.current || null };
+  await chrome.storage.local.set({ [key]: record });
+  return record;
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function formatChange(current, previous) {
+  if (previous === undefined || previous === null) return '';
+  const points = (current - previous) * 100;
+  const sign = points > 0 ? '+' : '';
+  return ` <span style="color: ${points < 0 ? '#e53e3e' : '#38a169'};">(${sign}${points.toFixed(1)} vs previous)</span>`;
+}
+
+const CELL_STYLE = 'style="padding: 2px 6px; text-align: right;"';
+
+// Per-class precision/recall/F1 and the confusion matrix of one model
+function renderEvaluationDetails(name, evaluation) {
+  const labels = evaluation.confusion.labels;
+
+  const classRows = labels.map(label => {
+    const metrics = evaluation.perClass[label];
+    return `<tr><td>${label}</td><td ${CELL_STYLE}>${formatPercent(metrics.precision)}</td>` +
+      `<td ${CELL_STYLE}>${formatPercent(metrics.recall)}</td><td ${CELL_STYLE}>${metrics.f1.toFixed(3)}</td>` +
+      `<td ${CELL_STYLE}>${metrics.support}</td></tr>`;
+  }).join('');
+
+  const matrixHeader = labels.map((label, i) => `<th ${CELL_STYLE} title="${label}">${i + 1}</th>`).join('');
+  const matrixRows = evaluation.confusion.matrix.map((row, i) => {
+    const cells = row.map((count, j) => {
+      const shade = i === j ? 'background: #c6f6d5;' : (count > 0 ? 'background: #fed7d7;' : '');
+      return `<td style="padding: 2px 6px; text-align: right; ${shade}">${count || ''}</td>`;
+    }).join('');
+    return `<tr><td>${i + 1}. ${labels[i]}</td>${cells}</tr>`;
+  }).join('');
+
+  return `
+    <details style="margin-top: 8px;">
+      <summary>${name}: per-class metrics</summary>
+      <table style="font-size: 13px; border-collapse: collapse;">
+        <tr><th>Label</th><th ${CELL_STYLE}>Precision</th><th ${CELL_STYLE}>Recall</th><th ${CELL_STYLE}>F1</th><th ${CELL_STYLE}>Posts</th></tr>
+        ${classRows}
+      </table>
+    </details>
+    <details style="margin-top: 8px;">
+      <summary>${name}: confusion matrix (rows: actual label, columns: predicted)</summary>
+      <div style="overflow-x: auto;">
+        <table style="font-size: 12px; border-collapse: collapse;">
+          <tr><th></th>${matrixHeader}</tr>
+          ${matrixRows}
+        </table>
+      </div>
+    </details>
+  `;
+}
+
+// Held-out metrics of the last training run of each model, side by side:
+// accuracy and macro averages (compared with the model's run before), then
+// the per-class details. `records` maps model name -> { current, previous }.
+function renderEvaluation(records) {
+  const container = document.getElementById('modelEvaluation');
+  if (!container) return;
+  const models = Object.entries(records || {}).filter(([, record]) => record?.current?.perClass);
+  if (models.length === 0) {
+    container.hidden = true;
+    return;
+  }
+
+  const metricRow = (title, read, format, compare = true) => `<tr><td>${title}</td>${models.map(([, record]) => {
+    const previous = compare && record.previous?.perClass ? read(record.previous) : null;
+    return `<td ${CELL_STYLE}>${format(read(record.current))}${formatChange(read(record.current), previous)}</td>`;
+  }).join('')}</tr>`;
+
+  container.hidden = false;
+  container.innerHTML = `
+    <strong>Last evaluation</strong> on held-out sample posts
+    <table style="font-size: 13px; border-collapse: collapse; margin-top: 4px;">
+      <tr><th></th>${models.map(([name]) => `<th ${CELL_STYLE}>${name}</th>`).join('')}</tr>
+      ${metricRow('Trained', evaluation => evaluation.trainedAt, value => new Date(value).toLocaleDateString(), false)}
+      ${metricRow('Accuracy', evaluation => evaluation.accuracy, formatPercent)}
+      ${metricRow('Macro precision', evaluation => evaluation.macro.precision, formatPercent)}
+      ${metricRow('Macro recall', evaluation => evaluation.macro.recall, formatPercent)}
+      ${metricRow('Macro F1', evaluation => evaluation.macro.f1, value => value.toFixed(3))}
+      ${metricRow('Test posts', evaluation => evaluation.testSize, String, false)}
+    </table>
+    ${models.map(([name, record]) => renderEvaluationDetails(name, record.current)).join('')}
+  `;
+}
+
+// Training data beyond the sample posts: custom topic examples and the
+// user's corrections
+async function getExtraTrainingRecords() {
+  const stored = await chrome.storage.local.get([CUSTOM_TOPICS_KEY, CORRECTIONS_KEY]);
+  return customTopicRecords(stored[CUSTOM_TOPICS_KEY]).concat(correctionRecords(stored[CORRECTIONS_KEY]));
+}
+
+// Review list: recently classified titles, least confident first, each with
+// a topic picker. A corrected title leaves the list.
+function renderReviewItems(response) {
+  const list = document.getElementById('reviewList');
+  if (!list) return;
+  list.innerHTML = '';
+  const items = response?.items || [];
+  if (items.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = 'No classified titles from the last week to review.';
+    list.appendChild(li);
+    return;
+  }
+
+  for (const item of items) {
+    const li = document.createElement('li');
+    const title = document.createElement('div');
+    title.textContent = item.title;
+    const detail = document.createElement('small');
+    const confidence = typeof item.confidence === 'number' ? `${Math.round(item.confidence * 100)}% sure` : 'confidence unknown';
+    const guess = item.topic === item.predictedTopic ? item.topic : `${item.topic} (best guess ${item.predictedTopic})`;
+    detail.textContent = `${item.domain} • ${guess} • ${confidence}`;
+
+    const select = document.createElement('select');
+    for (const topic of response.topics) {
+      const option = document.createElement('option');
+      option.value = topic;
+      option.textContent = topic;
+      option.selected = topic === item.predictedTopic;
+      select.appendChild(option);
+    }
+    const save = document.createElement('button');
+    save.textContent = 'Correct';
+    save.addEventListener('click', () => {
+      save.disabled = true;
+      chrome.runtime.sendMessage({
+        type: 'correct_topic',
+        title: item.title,
+        eventIds: item.eventIds,
+        topic: select.value,
+        previousTopic: item.topic
+      }, (result) => {
+        if (result?.success) {
+          li.remove();
+        } else {
+          save.disabled = false;
+          detail.textContent = `Could not save the correction: ${result?.error || 'no response'}`;
+        }
+      });
+    });
+
+    li.append(title, detail, select, save);
+    list.appendChild(li);
+  }
+}
+
+// Topics in the editor, including ones still being filled in
+let customTopics = [];
+
+// Topic editor: one card per custom topic (name, color, examples), saved
+// whenever a field changes
+function renderCustomTopics() {
+  const list = document.getElementById('customTopicList');
+  if (!list) return;
+  list.innerHTML = '';
+  customTopics.forEach((topic, index) => {
+    const card = document.createElement('div');
+    card.className = 'customTopic';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.placeholder = 'Topic name, e.g. climate';
+    name.value = topic.name;
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = topic.color;
+    const examples = document.createElement('textarea');
+    examples.rows = 4;
+    examples.placeholder = `Up to ${MAX_CUSTOM_TOPIC_EXAMPLES} example headlines, one per line`;
+    examples.value = topic.examples.join('\n');
+    const remove = document.createElement('button');
+    remove.className = 'removeTopicBtn';
+    remove.textContent = 'Remove';
+
+    const save = () => {
+      customTopics[index] = { name: name.value, color: color.value, examples: examples.value.split('\n') };
+      saveCustomTopics();
+    };
+    [name, color, examples].forEach(el => el.addEventListener('change', save));
+    remove.addEventListener('click', () => {
+      customTopics.splice(index, 1);
+      saveCustomTopics();
+      renderCustomTopics();
+    });
+
+    card.append(name, color, examples, remove);
+    list.appendChild(card);
+  });
+}
+
+// Topics still being filled in (no name yet) stay in the editor but are not stored
+function saveCustomTopics() {
+  chrome.storage.local.set({ [CUSTOM_TOPICS_KEY]: normalizeCustomTopics(customTopics) });
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return 'unknown';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Show how much the extension currently stores
+function renderStorageUsage(usage) {
+  const storageUsage = document.getElementById('storageUsage');
+  if (!storageUsage) return;
+  if (!usage) {
+    storageUsage.textContent = 'Storage usage is unavailable.';
+    return;
+  }
+  const counts = usage.counts || {};
+  const quota = usage.quotaBytes ? ` of ${formatBytes(usage.quotaBytes)} available` : '';
+  storageUsage.innerHTML = `
+    <strong>History database:</strong> ${formatBytes(usage.originBytes)}${quota}<br>
+    <strong>Settings and models:</strong> ${formatBytes(usage.storageBytes)}<br>
+    <strong>Records:</strong> ${counts.events || 0} events, ${counts.daily || 0} days,
+    ${counts.samples || 0} days of embeddings, ${counts.rollups || 0} weekly/monthly totals<br>
+    <strong>Waiting for classification:</strong> ${counts.inference_jobs || 0} titles
+  `;
+}
+
+// Show embedding cache size and hit rate
+function renderEmbeddingCacheStats(stats) {
+  const cacheStats = document.getElementById('embeddingCacheStats');
+  if (!cacheStats) return;
+  if (!stats) {
+    cacheStats.textContent = 'Embedding cache statistics are unavailable.';
+    return;
+  }
+  const lookups = stats.hits + stats.misses;
+  const hitRate = stats.hitRate === null ? 'no lookups yet' : `${(stats.hitRate * 100).toFixed(1)}% of ${lookups} lookups`;
+  cacheStats.innerHTML = `
+    <strong>Embedding cache:</strong> ${stats.entries} of ${stats.maxEntries} entries,
+    ${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)} (${stats.format})<br>
+    <strong>Hit rate:</strong> ${hitRate}<br>
+    <strong>Evicted:</strong> ${stats.evictions}
+  `;
+}
+
+function refreshStorageUsage() {
+  chrome.runtime.sendMessage({ type: 'get_embedding_cache_stats' }, renderEmbeddingCacheStats);
+  chrome.runtime.sendMessage({ type: 'get_storage_usage' }, renderStorageUsage);
+}
+
+// Show the outcome of the last stored-data migration run
+function renderSchemaStatus(result) {
+  const schemaStatus = document.getElementById('schemaStatus');
+  const retryBtn = document.getElementById('retryMigrationsBtn');
+  if (!schemaStatus || !retryBtn) return;
+
+  const status = result?.status;
+  if (!status) {
+    schemaStatus.textContent = 'Stored data has not been checked yet.';
+    retryBtn.hidden = true;
+    return;
+  }
+
+  const checkedAt = new Date(status.checkedAt).toLocaleString();
+  if (status.ok) {
+    schemaStatus.textContent = `Stored data is up to date (checked ${checkedAt}).`;
+    retryBtn.hidden = true;
+    return;
+  }
+
+  schemaStatus.innerHTML = `
+    <div style="color: #e53e3e; font-weight: 600; margin-bottom: 8px;">
+      ❌ Some stored data could not be upgraded
+    </div>
+    <div style="font-size: 14px; color: #4a5568; line-height: 1.6;">
+      Your data has been kept as it was. Tracking continues, but older records may be incomplete.<br>
+      <strong>Checked:</strong> ${checkedAt}
+    </div>
+  `;
+  const list = document.createElement('ul');
+  for (const failure of status.failures) {
+    const item = document.createElement('li');
+    item.textContent = `${failure.type} v${failure.from} → v${failure.to} (${failure.description}): ${failure.error}`;
+    list.appendChild(item);
+  }
+  schemaStatus.appendChild(list);
+  retryBtn.hidden = false;
+}
+
 function initOptions() {
   const enableTracking = document.getElementById('enableTracking');
   const includeTitles = document.getElementById('includeTitles');
+  const idleTimeoutSec = document.getElementById('idleTimeoutSec');
+  const sessionGapMin = document.getElementById('sessionGapMin');
+  const retentionRawDays = document.getElementById('retentionRawDays');
+  const retentionDailyDays = document.getElementById('retentionDailyDays');
   const enableML = document.getElementById('enableML');
+  const classifierMode = document.getElementById('classifierMode');
+  const confidenceThreshold = document.getElementById('confidenceThreshold');
   const exportBtn = document.getElementById('exportBtn');
   const clearBtn = document.getElementById('clearBtn');
   const trainBtn = document.getElementById('trainBtn');
   const exportDataDiv = document.getElementById('exportData');
   const trainStatus = document.getElementById('trainStatus');
+  const trainProgress = document.getElementById('trainProgress');
 
   // Check if all elements exist
-  if (!enableTracking || !includeTitles || !enableML || !exportBtn || 
-      !clearBtn || !trainBtn || !exportDataDiv || !trainStatus) {
+  if (!enableTracking || !includeTitles || !idleTimeoutSec || !sessionGapMin || !retentionRawDays ||
+      !retentionDailyDays || !enableML || !classifierMode || !confidenceThreshold || !exportBtn || 
+      !clearBtn || !trainBtn || !trainProgress || !exportDataDiv || !trainStatus) {
     console.error('[Horizon] Missing required DOM elements in options page');
     return;
   }
@@ -103,45 +505,124 @@ function initOptions() {
     const s = res.settings || {};
     enableTracking.checked = s.enableTracking === true;
     includeTitles.checked = s.includeTitles === true;
+    idleTimeoutSec.value = s.idleTimeoutSec || DEFAULT_IDLE_TIMEOUT_SEC;
+    sessionGapMin.value = s.sessionGapMin || DEFAULT_SESSION_GAP_MIN;
+    retentionRawDays.value = s.retentionRawDays || DEFAULT_RETENTION_RAW_DAYS;
+    retentionDailyDays.value = s.retentionDailyDays || DEFAULT_RETENTION_DAILY_DAYS;
     enableML.checked = s.enableML === true;
+    classifierMode.value = s.classifierMode === 'embedding' ? 'embedding' : 'naiveBayes';
+    confidenceThreshold.value = Math.round((s.confidenceThreshold ?? DEFAULT_CONFIDENCE_THRESHOLD) * 100);
+    const featureConfig = normalizeFeatureConfig(s.textFeatures);
+    for (const [step, id] of Object.entries(FEATURE_CHECKBOXES)) {
+      document.getElementById(id).checked = featureConfig[step];
+    }
     
     // Check if model exists and display status
     checkModelStatus(res['simple-classifier-model']);
   });
+  const evaluationKeys = [EVALUATION_STORAGE_KEY, EMBEDDING_EVALUATION_STORAGE_KEY, EMOTION_EVALUATION_STORAGE_KEY];
+  chrome.storage.local.get(evaluationKeys, (res) => renderEvaluation({
+    [CLASSIFIER_MODE_NAMES.naiveBayes]: res[EVALUATION_STORAGE_KEY],
+    [CLASSIFIER_MODE_NAMES.embedding]: res[EMBEDDING_EVALUATION_STORAGE_KEY],
+    [EMOTION_MODEL_NAME]: res[EMOTION_EVALUATION_STORAGE_KEY]
+  }));
+
+  refreshStorageUsage();
+
+  // Custom topics
+  chrome.storage.local.get([CUSTOM_TOPICS_KEY], (res) => {
+    customTopics = normalizeCustomTopics(res[CUSTOM_TOPICS_KEY]);
+    renderCustomTopics();
+  });
+  document.getElementById('reviewRefreshBtn').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'get_review_items' }, renderReviewItems);
+  });
+
+  document.getElementById('addTopicBtn').addEventListener('click', () => {
+    customTopics.push({ name: '', color: '#319795', examples: [] });
+    renderCustomTopics();
+  });
+
+  // Stored data migration status
+  const retryMigrationsBtn = document.getElementById('retryMigrationsBtn');
+  chrome.runtime.sendMessage({ type: 'get_schema_status' }, renderSchemaStatus);
+  retryMigrationsBtn.addEventListener('click', () => {
+    retryMigrationsBtn.disabled = true;
+    chrome.runtime.sendMessage({ type: 'run_migrations' }, (status) => {
+      retryMigrationsBtn.disabled = false;
+      renderSchemaStatus({ status });
+    });
+  });
 
   // Save settings on change
-  [enableTracking, includeTitles, enableML].forEach(el =>
+  const featureCheckboxes = Object.values(FEATURE_CHECKBOXES).map(id => document.getElementById(id));
+  [enableTracking, includeTitles, idleTimeoutSec, sessionGapMin, retentionRawDays, retentionDailyDays, enableML, classifierMode, confidenceThreshold, ...featureCheckboxes].forEach(el =>
     el.addEventListener('change', () => {
+      const timeout = Math.round(Number(idleTimeoutSec.value));
+      const validTimeout = timeout >= 5 ? Math.min(timeout, 3600) : DEFAULT_IDLE_TIMEOUT_SEC;
+      idleTimeoutSec.value = validTimeout;
+      const gap = Math.round(Number(sessionGapMin.value));
+      const validGap = gap >= 1 ? Math.min(gap, 240) : DEFAULT_SESSION_GAP_MIN;
+      sessionGapMin.value = validGap;
+      const rawDays = Math.round(Number(retentionRawDays.value));
+      const validRawDays = rawDays >= 1 ? Math.min(rawDays, 365) : DEFAULT_RETENTION_RAW_DAYS;
+      retentionRawDays.value = validRawDays;
+      const dailyDays = Math.round(Number(retentionDailyDays.value));
+      const validDailyDays = dailyDays >= 1 ? Math.max(validRawDays, Math.min(dailyDays, 3650)) : DEFAULT_RETENTION_DAILY_DAYS;
+      retentionDailyDays.value = validDailyDays;
+      const threshold = Math.round(Number(confidenceThreshold.value));
+      const validThreshold = confidenceThreshold.value !== '' && threshold >= 0
+        ? Math.min(threshold, 100)
+        : DEFAULT_CONFIDENCE_THRESHOLD * 100;
+      confidenceThreshold.value = validThreshold;
       chrome.storage.local.set({
         settings: {
           enableTracking: enableTracking.checked,
           includeTitles: includeTitles.checked,
-          enableML: enableML.checked
+          idleTimeoutSec: validTimeout,
+          sessionGapMin: validGap,
+          retentionRawDays: validRawDays,
+          retentionDailyDays: validDailyDays,
+          enableML: enableML.checked,
+          classifierMode: classifierMode.value,
+          confidenceThreshold: validThreshold / 100,
+          textFeatures: readFeatureConfig()
         }
       });
     })
   );
 
-  // Export
+  // Export (settings and models from chrome.storage, history from the background's IndexedDB)
   exportBtn.addEventListener('click', () => {
     chrome.storage.local.get(null, (data) => {
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `horizon-export-${new Date().toISOString().slice(0,10)}.json`;
-      a.click();
-      exportDataDiv.textContent = "Data exported successfully.";
+      chrome.runtime.sendMessage({ type: 'export_history' }, (history) => {
+        const exported = { ...data, history: history || null };
+        const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `horizon-export-${localDayKey()}.json`;
+        a.click();
+        exportDataDiv.textContent = history
+          ? "Data exported successfully."
+          : "Settings exported, but engagement history could not be read.";
+      });
     });
   });
 
   // Clear
   clearBtn.addEventListener('click', () => {
     if (confirm('Are you sure you want to delete all stored data?')) {
-      chrome.storage.local.clear(() => {
-        alert('All data cleared.');
-        // Update model status after clearing
-        checkModelStatus(null);
+      chrome.runtime.sendMessage({ type: 'clear_history' }, () => {
+        chrome.storage.local.clear(() => {
+          alert('All data cleared.');
+          refreshStorageUsage();
+          // Update model status after clearing
+          checkModelStatus(null);
+          renderEvaluation(null);
+          customTopics = [];
+          renderCustomTopics();
+        });
       });
     }
   });
@@ -156,42 +637,67 @@ function initOptions() {
     trainStatus.innerHTML = '<div style="color: #2b6cb0; font-weight: 500;">🔄 Initializing model training...</div>';
     
     try {
-      // Use simple classifier (no TensorFlow.js required, no eval needed)
-      trainStatus.innerHTML = '<div style="color: #2b6cb0; font-weight: 500;">⚙️ Training simple classifier (no external dependencies)...</div>';
-      
-      // Import and train the simple classifier
-      const { trainSimpleClassifier } = await import(chrome.runtime.getURL('simple-classifier.js'));
-      
       const startTime = Date.now();
-      const result = await trainSimpleClassifier();
+      const result = await trainInWorker((phase, done, total) => {
+        trainStatus.innerHTML = `<div style="color: #2b6cb0; font-weight: 500;">⚙️ ${TRAINING_PHASES[phase] || phase}...</div>`;
+        trainProgress.hidden = false;
+        trainProgress.value = total > 0 ? done / total : 0;
+      }, {
+        embedding: classifierMode.value === 'embedding',
+        featureConfig: readFeatureConfig(),
+        extraRecords: await getExtraTrainingRecords()
+      });
+      const { model, evaluation } = result;
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      
+      const modelData = await SimpleClassifier.fromJSON(model).save({ version: 1 });
+      const evaluations = {
+        [CLASSIFIER_MODE_NAMES.naiveBayes]: await storeEvaluation(EVALUATION_STORAGE_KEY, evaluation)
+      };
+      if (result.embeddingModel) {
+        await EmbeddingClassifier.fromJSON(result.embeddingModel).save({ version: 1 });
+        evaluations[CLASSIFIER_MODE_NAMES.embedding] =
+          await storeEvaluation(EMBEDDING_EVALUATION_STORAGE_KEY, result.embeddingEvaluation);
+      } else {
+        const stored = await chrome.storage.local.get([EMBEDDING_EVALUATION_STORAGE_KEY]);
+        evaluations[CLASSIFIER_MODE_NAMES.embedding] = stored[EMBEDDING_EVALUATION_STORAGE_KEY];
+      }
+      await EmotionClassifier.fromJSON(result.emotionModel).save({ version: 1 });
+      evaluations[EMOTION_MODEL_NAME] = await storeEvaluation(EMOTION_EVALUATION_STORAGE_KEY, result.emotionEvaluation);
+      renderEvaluation(evaluations);
+      await SentimentModel.fromJSON(result.sentimentModel).save({ version: 1, evaluation: result.sentimentEvaluation });
+      const sentimentEvaluation = result.sentimentEvaluation;
+      const embeddingNote = result.embeddingError
+        ? `<strong style="color: #d69e2e;">Embedding head not trained:</strong> ${result.embeddingError} (Naive Bayes is used instead)<br>`
+        : '';
+
       // Success feedback with details
-      const accuracy = (result.accuracy * 100).toFixed(1);
+      const accuracy = (evaluation.accuracy * 100).toFixed(1);
       const timestamp = new Date().toLocaleTimeString();
-      
-      // Reload model data to show updated status
-      chrome.storage.local.get(['simple-classifier-model'], (res) => {
-        const modelData = res['simple-classifier-model'];
-        const categories = modelData?.categories || [];
-        const uniqueWords = modelData ? Object.keys(modelData.wordCounts || {}).length : 0;
-        
-        trainStatus.innerHTML = `
-          <div style="color: #38a169; font-weight: 600; margin-bottom: 8px;">
-            ✅ Training completed successfully!
-          </div>
-          <div style="font-size: 14px; color: #4a5568; line-height: 1.6;">
-            <strong>Accuracy:</strong> ${accuracy}%<br>
-            <strong>Training time:</strong> ${duration}s<br>
-            <strong>Completed:</strong> ${timestamp}<br>
-            <strong>Categories:</strong> ${categories.join(', ') || 'N/A'}<br>
-            <strong>Vocabulary size:</strong> ${uniqueWords} words<br>
-            <span style="color: #718096; font-size: 12px; margin-top: 4px; display: block;">
-              Model saved locally and ready to use. Status will persist when you return to this page.
-            </span>
-          </div>
-        `;
-      });
+      const categories = modelData.categories || [];
+      const uniqueWords = Object.keys(modelData.wordCounts || {}).length;
+
+      trainStatus.innerHTML = `
+        <div style="color: #38a169; font-weight: 600; margin-bottom: 8px;">
+          ✅ Training completed successfully!
+        </div>
+        <div style="font-size: 14px; color: #4a5568; line-height: 1.6;">
+          <strong>Accuracy:</strong> ${accuracy}% on ${evaluation.testSize} held-out posts (details below)<br>
+          <strong>Training time:</strong> ${duration}s<br>
+          <strong>Completed:</strong> ${timestamp}<br>
+          <strong>Categories:</strong> ${categories.join(', ') || 'N/A'}<br>
+          <strong>Vocabulary size:</strong> ${uniqueWords} words<br>
+          <strong>Languages:</strong> ${describeLanguages(modelData.languages)}<br>
+          <strong>Sentiment:</strong> average error ${sentimentEvaluation.meanAbsoluteError.toFixed(2)}
+            (${sentimentEvaluation.baselineMeanAbsoluteError.toFixed(2)} guessing the average),
+            correlation ${sentimentEvaluation.correlation.toFixed(2)}<br>
+          <strong>Emotions:</strong> ${(result.emotionEvaluation.accuracy * 100).toFixed(1)}% accuracy,
+            macro F1 ${result.emotionEvaluation.macro.f1.toFixed(3)}<br>
+          ${embeddingNote}
+          <span style="color: #718096; font-size: 12px; margin-top: 4px; display: block;">
+            Model saved locally and ready to use. Status will persist when you return to this page.
+          </span>
+        </div>
+      `;
     } catch (error) {
       // Error feedback with detailed debugging info
       console.error('[Horizon] Training error:', error);
@@ -217,6 +723,7 @@ function initOptions() {
       `;
     } finally {
       // Re-enable button
+      trainProgress.hidden = true;
       trainBtn.disabled = false;
       trainBtn.style.opacity = '1';
       trainBtn.style.cursor = 'pointer';
@@ -3,6 +3,12 @@
 
 const MS_TO_MIN = 1000 * 60;
 
+// YYYY-MM-DD in local time (matches the background's day keys)
+function localDayKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 function formatMinutes(ms) {
   const mins = Math.round(ms / MS_TO_MIN);
   return `${mins} min`;
@@ -49,10 +55,251 @@ function renderTopDomains(byDomain, totalMs) {
   }
 }
 
+// rows: [label, value, optional detail]
+function renderStatRows(ul, rows) {
+  for (const [label, value, detail] of rows) {
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = label;
+    const val = document.createElement('strong');
+    val.textContent = value;
+    if (detail) {
+      const small = document.createElement('small');
+      small.textContent = detail;
+      val.appendChild(small);
+    }
+    li.appendChild(name);
+    li.appendChild(val);
+    ul.appendChild(li);
+  }
+}
+
+// Post views count every time a post came into view as new; unique posts
+// leave out repeats (seen again after navigating back, a refresh or in
+// another tab)
+function renderPostStats(postViews, uniquePosts) {
+  const ul = document.getElementById('postStats');
+  ul.innerHTML = '';
+  const repeats = Math.max(0, postViews - uniquePosts);
+  renderStatRows(ul, [
+    ['Unique posts', `${uniquePosts}`, ''],
+    ['Post views', `${postViews}`, repeats > 0 ? `${repeats} repeat${repeats === 1 ? '' : 's'}` : '']
+  ]);
+}
+
+// Share of the classified time whose topic cleared the confidence threshold;
+// the rest is counted as "uncertain"
+function renderConfidenceStats(classifiedMs, confidentMs) {
+  const ul = document.getElementById('confidenceStats');
+  ul.innerHTML = '';
+  if (classifiedMs <= 0) {
+    renderStatRows(ul, [['Classified time', 'none yet', '']]);
+    return;
+  }
+  const share = Math.round((confidentMs / classifiedMs) * 100);
+  renderStatRows(ul, [
+    ['High confidence', `${share}%`, `${formatMinutes(confidentMs)} of ${formatMinutes(classifiedMs)} classified`],
+    ['Uncertain', formatMinutes(Math.max(0, classifiedMs - confidentMs)), '']
+  ]);
+}
+
+function describeSentiment(average) {
+  if (average <= -0.2) return 'negative';
+  if (average < -0.05) return 'slightly negative';
+  if (average <= 0.05) return 'neutral';
+  if (average < 0.2) return 'slightly positive';
+  return 'positive';
+}
+
+function formatSentiment(average) {
+  return `${average > 0 ? '+' : ''}${average.toFixed(2)}`;
+}
+
+// Most negative entry of a { key: { ms, sum } } map, ignoring keys with
+// under a minute of scored time
+function mostNegative(entries) {
+  let worst = null;
+  for (const [key, entry] of Object.entries(entries || {})) {
+    if (entry.ms < 60000) continue;
+    const average = entry.sum / entry.ms;
+    if (!worst || average < worst.average) {
+      worst = { key, average };
+    }
+  }
+  return worst;
+}
+
+// Time-weighted tone of today's titles (-1 negative ... +1 positive)
+function renderSentimentStats(sentiment) {
+  const ul = document.getElementById('sentimentStats');
+  ul.innerHTML = '';
+  if (!sentiment || sentiment.ms <= 0) {
+    renderStatRows(ul, [['Scored titles', 'none yet', '']]);
+    return;
+  }
+  const average = sentiment.sum / sentiment.ms;
+  const rows = [
+    ['Overall', formatSentiment(average), `${describeSentiment(average)}, ${formatMinutes(sentiment.ms)} scored`],
+    ['Negative / positive', `${Math.round((sentiment.negativeMs / sentiment.ms) * 100)}% / ${Math.round((sentiment.positiveMs / sentiment.ms) * 100)}%`, 'of scored time']
+  ];
+  const domain = mostNegative(sentiment.byDomain);
+  if (domain && domain.average < 0) {
+    rows.push(['Most negative site', domain.key, formatSentiment(domain.average)]);
+  }
+  const topic = mostNegative(sentiment.byTopic);
+  if (topic && topic.average < 0) {
+    rows.push(['Most negative topic', topic.key, formatSentiment(topic.average)]);
+  }
+  renderStatRows(ul, rows);
+}
+
+const TREND_LABELS = { new: 'new', growing: '↑ growing', shrinking: '↓ fading' };
+const MAX_RISING_INTERESTS = 4;
+const MAX_FADING_INTERESTS = 3;
+
+// Clusters of similar titles (no topics needed) that appeared or grew this
+// week, then those that shrank; hover an interest for its closest titles
+function renderInterests(interests) {
+  const ul = document.getElementById('interestStats');
+  ul.innerHTML = '';
+  const clusters = interests?.result?.clusters;
+  if (!clusters) {
+    renderStatRows(ul, [['Interests', 'not enough data', 'needs titles and on-device ML']]);
+    return;
+  }
+  const rising = clusters.filter(cluster => cluster.trend === 'new' || cluster.trend === 'growing').slice(0, MAX_RISING_INTERESTS);
+  const fading = clusters.filter(cluster => cluster.trend === 'shrinking').reverse().slice(0, MAX_FADING_INTERESTS);
+  if (rising.length + fading.length === 0) {
+    renderStatRows(ul, [['Interests', 'steady', 'nothing new or fading this week']]);
+    return;
+  }
+  const shown = rising.concat(fading);
+  renderStatRows(ul, shown.map(cluster => [
+    cluster.keywords.length > 0 ? cluster.keywords.join(', ') : (cluster.titles[0] || cluster.domains[0]),
+    TREND_LABELS[cluster.trend],
+    `${cluster.recentCount} this week`
+  ]));
+  Array.from(ul.children).forEach((li, index) => {
+    li.title = shown[index].titles.join('\n');
+  });
+}
+
+function loadInterests() {
+  chrome.runtime.sendMessage({ type: 'get_interests' }, (res) => renderInterests(res));
+}
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Languages of today's titles by time ('und': too short or no telling words)
+function renderLanguageStats(byLanguage, totalMs) {
+  const ul = document.getElementById('languageStats');
+  ul.innerHTML = '';
+  const top = topNFromMap(byLanguage || {}, 5);
+  if (top.length === 0) {
+    renderStatRows(ul, [['Titles', 'none yet', '']]);
+    return;
+  }
+  renderStatRows(ul, top.map(({ k, v }) => [
+    k === 'und' ? 'Undetermined' : languageNames.of(k),
+    formatMinutes(v),
+    totalMs > 0 ? `${Math.round((v / totalMs) * 100)}%` : ''
+  ]));
+}
+
+// Watched = media actually playing; scrolled past = the rest of the tracked time
+function renderWatchStats(media, totalMs) {
+  const ul = document.getElementById('watchStats');
+  ul.innerHTML = '';
+
+  const watchedMs = media.watchedMs || 0;
+  const scrolledMs = Math.max(0, totalMs - watchedMs);
+  const items = Object.values(media.items || {});
+  const withDuration = items.filter(item => item.durationSec > 0);
+  const avgCompletion = withDuration.length > 0
+    ? Math.round((withDuration.reduce((s, item) => s + item.completion, 0) / withDuration.length) * 100)
+    : null;
+  const completed = items.filter(item => item.completed).length;
+
+  const rows = [
+    ['Watched', formatMinutes(watchedMs), `${formatMinutes(media.unmutedMs || 0)} with sound, ${formatMinutes(media.mutedMs || 0)} muted`],
+    ['Scrolled past', formatMinutes(scrolledMs), ''],
+    ['Videos & audio', `${items.length}`, avgCompletion === null ? '' : `${completed} finished, avg ${avgCompletion}% watched`]
+  ];
+
+  renderStatRows(ul, rows);
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Session counts per domain, median/longest length and a 24h timeline
+function renderSessions(sessions) {
+  const ul = document.getElementById('sessionStats');
+  const timeline = document.getElementById('sessionTimeline');
+  ul.innerHTML = '';
+  timeline.innerHTML = '';
+
+  if (sessions.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = 'No sessions today yet.';
+    ul.appendChild(li);
+    return;
+  }
+
+  const durations = sessions.map(session => session.durationMs);
+  const longest = sessions.reduce((a, b) => (b.durationMs > a.durationMs ? b : a));
+  const countsByDomain = {};
+  for (const session of sessions) {
+    countsByDomain[session.domain] = (countsByDomain[session.domain] || 0) + 1;
+  }
+  const domainSummary = topNFromMap(countsByDomain, 3)
+    .map(item => `${item.k.replace('www.', '')} ×${item.v}`)
+    .join(', ');
+
+  const rows = [
+    ['Sessions', `${sessions.length}`, domainSummary],
+    ['Median length', formatMinutes(median(durations)), ''],
+    ['Longest', formatMinutes(longest.durationMs), `${longest.domain.replace('www.', '')} at ${formatClock(longest.startedAt)}`]
+  ];
+  renderStatRows(ul, rows);
+
+  // Timeline: one block per session, positioned within the local day
+  const dayStart = new Date();
+  dayStart.setHours(0, 0, 0, 0);
+  const dayMs = 24 * 60 * 60 * 1000;
+  const domainColors = {};
+  const palette = ['#2b6cb0', '#38a169', '#d69e2e', '#e53e3e', '#805ad5', '#319795', '#dd6b20', '#e83e8c'];
+  for (const session of sessions) {
+    if (!domainColors[session.domain]) {
+      domainColors[session.domain] = palette[Object.keys(domainColors).length % palette.length];
+    }
+    const left = Math.max(0, (session.startedAt - dayStart.getTime()) / dayMs);
+    const width = Math.max(0, (session.endedAt - session.startedAt) / dayMs);
+    const block = document.createElement('div');
+    block.className = 'sessionBlock';
+    block.style.left = `${(left * 100).toFixed(2)}%`;
+    block.style.width = `${(Math.min(width, 1 - left) * 100).toFixed(2)}%`;
+    block.style.background = domainColors[session.domain];
+    block.title = `${session.domain}: ${formatClock(session.startedAt)}–${formatClock(session.endedAt)}, ` +
+                  `${formatMinutes(session.durationMs)}, ${session.postCount} posts` +
+                  (session.open ? ' (ongoing)' : '');
+    timeline.appendChild(block);
+  }
+}
+
 let pieChart = null;
 let barChart = null;
 let topicChart = null;
 let topicCountChart = null;
+let emotionChart = null;
 
 function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
   // Ensure Chart.js is loaded
@@ -268,14 +515,28 @@ function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
   const topicColors = {
     'politics': '#e53e3e',
     'sports': '#2b6cb0',
-    'tech': '#38a169',
+    'technology': '#38a169',
+    'tech': '#38a169', // label used by models trained before the sample data
     'entertainment': '#805ad5',
+    'people': '#d53f8c',
+    'environment': '#2f855a',
+    'social': '#dd6b20',
+    'health': '#0bc5ea',
+    'cryptocurrency': '#d69e2e',
+    'science': '#3182ce',
+    'business': '#4a5568',
+    'finance': '#b7791f',
+    'economy': '#975a16',
+    'investing': '#744210',
+    'law': '#553c9a',
+    'uncertain': '#a0aec0',
+    'unsupported language': '#cbd5e0',
     'unknown': '#718096'
   };
   
   // Map colors to labels consistently
   const topicBackgroundColor = topicLabels.map(label => 
-    topicColors[label] || '#319795'
+    customTopicColors[label] || topicColors[label] || '#319795'
   );
   
   // Handle empty data
@@ -358,7 +619,7 @@ function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
   } else {
     topicCountLabels = countEntries.map(([label]) => label);
     topicCountData = countEntries.map(([, count]) => count);
-    topicCountColors = topicCountLabels.map(label => topicColors[label] || '#319795');
+    topicCountColors = topicCountLabels.map(label => customTopicColors[label] || topicColors[label] || '#319795');
   }
 
   if (topicCountChart) topicCountChart.destroy();
@@ -413,6 +674,86 @@ function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
   });
 }
 
+// Emotions of the sample posts' `main_emotion` labels; the rarer ones
+// share the fallback color
+const emotionColors = {
+  neutral: '#a0aec0',
+  admiration: '#38a169',
+  approval: '#48bb78',
+  curiosity: '#3182ce',
+  annoyance: '#dd6b20',
+  joy: '#ecc94b',
+  gratitude: '#68d391',
+  love: '#ed64a6',
+  confusion: '#9f7aea',
+  disapproval: '#ed8936',
+  sadness: '#4c51bf',
+  anger: '#e53e3e',
+  disappointment: '#805ad5',
+  excitement: '#f6ad55',
+  optimism: '#81e6d9',
+  fear: '#2d3748',
+  disgust: '#744210'
+};
+
+// Minutes per title emotion, most common first
+function renderEmotionChart(byEmotion) {
+  const canvas = document.getElementById('emotionBar');
+  if (!canvas) {
+    console.error('[Horizon] Emotion bar canvas not found');
+    return;
+  }
+
+  const entries = Object.entries(byEmotion || {})
+    .filter(([, ms]) => ms > 0)
+    .sort((a, b) => b[1] - a[1]);
+  const labels = entries.length > 0 ? entries.map(([emotion]) => emotion) : ['No data yet'];
+  const data = entries.length > 0 ? entries.map(([, ms]) => Math.round((ms / MS_TO_MIN) * 10) / 10) : [0];
+  const colors = entries.length > 0 ? labels.map(emotion => emotionColors[emotion] || '#319795') : ['#e2e8f0'];
+
+  if (emotionChart) emotionChart.destroy();
+  emotionChart = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [{
+        label: 'Minutes',
+        data,
+        backgroundColor: colors,
+        borderRadius: 4
+      }]
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              if (entries.length === 0) {
+                return 'Emotions appear here once titles are scored';
+              }
+              return formatMinutes(byEmotion[context.label]);
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              return `${value} min`;
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
 function renderMetrics(byDomain, byContentType, totalMs) {
   const metricsDiv = document.getElementById('metrics');
 
@@ -430,12 +771,22 @@ function renderMetrics(byDomain, byContentType, totalMs) {
   `;
 }
 
+let lastSummary = null;
+// Colors of the user's custom topics (chrome.storage `custom_topics`), by name
+let customTopicColors = {};
+
 function drawUI(cache) {
+  lastSummary = cache;
   const totalMs = cache.totalMs || 0;
   const byDomain = cache.byDomain || {};
   const byContentType = cache.byContentType || {};
-  const byTopic = cache.byTopic || {};
+  // Confidence-weighted: each title's time times the classifier's confidence,
+  // credited to its predicted topic
+  const weightByConfidence = document.getElementById('weightByConfidence')?.checked === true;
+  const byTopic = (weightByConfidence ? cache.byTopicWeighted : cache.byTopic) || {};
   const byTopicCounts = cache.byTopicCounts || {};
+  const media = cache.media || {};
+  const sessions = Array.isArray(cache.sessions) ? cache.sessions : [];
 
   // Debug logging
   console.log('[Horizon Popup] Data received:', {
@@ -451,18 +802,41 @@ function drawUI(cache) {
   document.getElementById('summarySmall').textContent = `Today • ${formatMinutes(totalMs)}`;
 
   renderTopDomains(byDomain, totalMs);
+  renderPostStats(cache.postViews || 0, cache.uniquePosts || 0);
+  renderConfidenceStats(cache.classifiedMs || 0, cache.confidentMs || 0);
+  renderSentimentStats(cache.sentiment);
+  renderLanguageStats(cache.byLanguage, totalMs);
+  renderWatchStats(media, totalMs);
+  renderSessions(sessions);
   renderCharts(byContentType, byDomain, byTopic, byTopicCounts);
+  if (typeof Chart !== 'undefined') {
+    renderEmotionChart(cache.byEmotion);
+  }
   renderMetrics(byDomain, byContentType, totalMs);
 }
 
 function loadSummary() {
+  chrome.storage.local.get(['custom_topics'], (stored) => {
+    customTopicColors = {};
+    for (const topic of Array.isArray(stored.custom_topics) ? stored.custom_topics : []) {
+      customTopicColors[topic.name] = topic.color;
+    }
+    loadTodaySummary();
+  });
+  loadInterests();
+}
+
+function loadTodaySummary() {
   chrome.runtime.sendMessage({ type: 'get_today_summary' }, (res) => {
-    const cache = res || { day: new Date().toISOString().slice(0,10), byDomain: {}, byContentType: {}, byTopic: {}, byTopicCounts: {}, totalMs: 0 };
+    const cache = res || { day: localDayKey(new Date()), byDomain: {}, byContentType: {}, byTopic: {}, byTopicCounts: {}, totalMs: 0 };
     drawUI(cache);
   });
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('weightByConfidence').addEventListener('change', () => {
+    if (lastSummary) drawUI(lastSummary);
+  });
   // Wait for Chart.js to be fully loaded
   if (typeof Chart !== 'undefined') {
     loadSummary();
@@ -0,0 +1,73 @@
+// post-dedup.js
+// Recognizing posts seen more than once. A post is identified by its
+// platform post id and by the SHA-256 of its title, so a repeat view after
+// navigating back, a refresh or another tab matches exactly; after
+// classification, a post whose title embedding is nearly identical to a
+// recently seen one is merged into it as well. Repeat views add their dwell
+// time to the original post instead of counting as a new post.
+//
+// The helpers here are pure; event-store.js applies them inside its
+// transactions against the `posts` store.
+
+import { cosineSimilarity } from './vectors.js';
+
+export const NEAR_DUPLICATE_THRESHOLD = 0.95;
+export const NEAR_DUPLICATE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Lookup keys of the post an engagement event belongs to
+export function postKeys(event) {
+  const keys = [];
+  if (event.postId) {
+    keys.push(`post:${event.domain}|${event.postId}`);
+  }
+  if (event.titleHash) {
+    keys.push(`title:${event.titleHash}`);
+  }
+  return keys;
+}
+
+export function createPost(event, keys) {
+  return {
+    domain: event.domain,
+    keys,
+    firstSeenAt: event.ts,
+    lastSeenAt: event.ts,
+    views: event.newPost ? 1 : 0,
+    dwellMs: event.deltaMs,
+    topic: event.topic || null,
+    embedding: null
+  };
+}
+
+// Count an event against a post it was matched to
+export function addEventToPost(post, event, keys) {
+  post.keys = Array.from(new Set([...post.keys, ...keys]));
+  post.lastSeenAt = Math.max(post.lastSeenAt, event.ts);
+  post.dwellMs += event.deltaMs;
+  if (event.newPost) {
+    post.views += 1;
+  }
+  return post;
+}
+
+// Fold `duplicate` into `original`
+export function mergePosts(original, duplicate) {
+  original.keys = Array.from(new Set([...original.keys, ...duplicate.keys]));
+  original.firstSeenAt = Math.min(original.firstSeenAt, duplicate.firstSeenAt);
+  original.lastSeenAt = Math.max(original.lastSeenAt, duplicate.lastSeenAt);
+  original.views += duplicate.views;
+  original.dwellMs += duplicate.dwellMs;
+  return original;
+}
+
+// Most similar candidate ({ post, vector }) at or above the threshold, or null
+export function findNearDuplicate(vector, candidates, threshold = NEAR_DUPLICATE_THRESHOLD) {
+  let best = null;
+  for (const candidate of candidates) {
+    const similarity = cosineSimilarity(vector, candidate.vector);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { post: candidate.post, similarity };
+    }
+  }
+  return best;
+}
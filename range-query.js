@@ -0,0 +1,320 @@
+// range-query.js
+// Merged aggregates and time series for an arbitrary date range, backing the
+// `get_range_summary` message. A query looks like
+//   { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', granularity: 'hour'|'day'|'week'|'month',
+//     filters: { domain, topic, contentType } }
+// where each filter is a value or a list of values. Both ends of the range
+// are inclusive local days; weeks start on Monday.
+//
+// Unfiltered queries are answered from the daily aggregates, which also hold
+// days imported from before the event log existed, plus the weekly/monthly
+// rollups of days past the daily retention window. Filtered queries need the
+// per-event detail and are answered from the event log, so imported days
+// and days past the raw retention window do not show up in them.
+//
+// The functions here are pure; background.js loads the records and events.
+
+import { localDayKey, isDayKey, addDays, weekStartKey, monthKey } from './time-buckets.js';
+import {
+  isUniquePost,
+  UNCERTAIN_TOPIC,
+  applyEvent,
+  createDayRecord,
+  createSentimentSummary,
+  mergeSentiment
+} from './day-aggregates.js';
+
+export const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const FILTER_FIELDS = ['domain', 'topic', 'contentType'];
+const MAX_SERIES_BUCKETS = 2000; // e.g. about 83 days at hour granularity
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toFilterList(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const list = (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+// Validate a query and fill in defaults (today, day granularity, no filters).
+// Throws on a malformed query.
+export function normalizeRangeQuery(query = {}, today = localDayKey()) {
+  const from = query.from || today;
+  const to = query.to || from;
+  if (!isDayKey(from) || !isDayKey(to)) {
+    throw new Error('from and to must be YYYY-MM-DD days');
+  }
+  if (from > to) {
+    throw new Error(`Range starts after it ends (${from} > ${to})`);
+  }
+  const granularity = query.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Unknown granularity "${granularity}"`);
+  }
+
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    filters[field] = toFilterList(query.filters?.[field]);
+  }
+
+  const normalized = { from, to, granularity, filters };
+  if (listBuckets(normalized).length > MAX_SERIES_BUCKETS) {
+    throw new Error(`Range too long for ${granularity} granularity (more than ${MAX_SERIES_BUCKETS} buckets)`);
+  }
+  return normalized;
+}
+
+export function hasFilters(query) {
+  return FILTER_FIELDS.some(field => query.filters[field]);
+}
+
+// Key of the series bucket a day (and, for hourly series, hour) falls into
+export function bucketKey(day, hour, granularity) {
+  if (granularity === 'hour') {
+    return `${day}T${pad(hour)}`;
+  }
+  if (granularity === 'week') {
+    return weekStartKey(day);
+  }
+  if (granularity === 'month') {
+    return monthKey(day);
+  }
+  return day;
+}
+
+// Local timestamp at which a bucket starts
+function bucketStart(key) {
+  const [date, hour] = key.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day || 1, Number(hour) || 0).getTime();
+}
+
+// Every bucket key in the range, in order. Week and month buckets are keyed
+// by their own start, which may lie before `from`.
+export function listBuckets({ from, to, granularity }) {
+  const keys = [];
+  const seen = new Set();
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const hours = granularity === 'hour' ? 24 : 1;
+    for (let hour = 0; hour < hours; hour++) {
+      const key = bucketKey(day, hour, granularity);
+      if (!seen.has(key)) {
+        seen.add(key);
+        keys.push(key);
+      }
+    }
+    if (keys.length > MAX_SERIES_BUCKETS) {
+      break;
+    }
+  }
+  return keys;
+}
+
+function createTotals() {
+  return {
+    totalMs: 0,
+    byDomain: {},
+    byContentType: {},
+    byTopic: {},
+    byTopicCounts: {},
+    byTopicWeighted: {},
+    classifiedMs: 0,
+    confidentMs: 0,
+    sentiment: createSentimentSummary(),
+    byEmotion: {},
+    byLanguage: {},
+    postViews: 0,
+    uniquePosts: 0,
+    media: { watchedMs: 0, mutedMs: 0, unmutedMs: 0, byDomain: {} }
+  };
+}
+
+function createSeriesBucket(key) {
+  return {
+    key,
+    start: bucketStart(key),
+    totalMs: 0,
+    byDomain: {},
+    byContentType: {},
+    byTopic: {}
+  };
+}
+
+function addCounts(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    target[key] = (target[key] || 0) + value;
+  }
+}
+
+// Per-post, confidence, sentiment, emotion and language totals, which only
+// the overall totals keep
+function addPostTotals(totals, source) {
+  addCounts(totals.byTopicCounts, source.byTopicCounts);
+  addCounts(totals.byTopicWeighted, source.byTopicWeighted);
+  totals.classifiedMs += source.classifiedMs || 0;
+  totals.confidentMs += source.confidentMs || 0;
+  mergeSentiment(totals.sentiment, source.sentiment);
+  addCounts(totals.byEmotion, source.byEmotion);
+  addCounts(totals.byLanguage, source.byLanguage);
+  totals.postViews += source.postViews || 0;
+  totals.uniquePosts += source.uniquePosts || 0;
+}
+
+function addBreakdown(target, source) {
+  target.totalMs += source.totalMs || 0;
+  addCounts(target.byDomain, source.byDomain);
+  addCounts(target.byContentType, source.byContentType);
+  addCounts(target.byTopic, source.byTopic);
+}
+
+function createResult(query, source) {
+  const series = new Map(listBuckets(query).map(key => [key, createSeriesBucket(key)]));
+  return { ...query, source, totals: createTotals(), series, daysWithData: new Set(), rolledUp: [] };
+}
+
+function finishResult(result) {
+  return {
+    ...result,
+    series: Array.from(result.series.values()),
+    daysWithData: result.daysWithData.size
+  };
+}
+
+// Rollups are whole weeks or months; one counts in full when any of its days
+// falls in the range. Weekly ones feed week series, monthly ones everything
+// else (day and hour series only get them in the totals).
+function addRollups(result, rollups, query) {
+  const period = query.granularity === 'week' ? 'week' : 'month';
+  for (const rollup of rollups) {
+    const days = rollup.days.filter(day => day >= query.from && day <= query.to);
+    if (rollup.period !== period || days.length === 0) {
+      continue;
+    }
+    addBreakdown(result.totals, rollup);
+    addPostTotals(result.totals, rollup);
+    const media = result.totals.media;
+    media.watchedMs += rollup.media.watchedMs;
+    media.mutedMs += rollup.media.mutedMs;
+    media.unmutedMs += rollup.media.unmutedMs;
+    addCounts(media.byDomain, rollup.media.byDomain);
+    rollup.days.forEach(day => result.daysWithData.add(day));
+    result.rolledUp.push(rollup.key);
+
+    const target = result.series.get(bucketKey(rollup.days[0], 0, query.granularity));
+    if (target && period === query.granularity) {
+      addBreakdown(target, rollup);
+    }
+  }
+}
+
+// Summarize unfiltered data from daily aggregates and rollups
+export function summarizeDailyRecords(records, query, rollups = []) {
+  const result = createResult(query, 'daily');
+  addRollups(result, rollups, query);
+  for (const record of records) {
+    if (record.day < query.from || record.day > query.to) {
+      continue;
+    }
+    addBreakdown(result.totals, record);
+    addPostTotals(result.totals, record);
+    if (record.media) {
+      const media = result.totals.media;
+      media.watchedMs += record.media.watchedMs || 0;
+      media.mutedMs += record.media.mutedMs || 0;
+      media.unmutedMs += record.media.unmutedMs || 0;
+      addCounts(media.byDomain, record.media.byDomain);
+    }
+    if (record.totalMs > 0 || record.media?.watchedMs > 0) {
+      result.daysWithData.add(record.day);
+    }
+
+    if (query.granularity === 'hour') {
+      // Days imported from before hourly buckets existed only count in the totals
+      for (const [hour, bucket] of Object.entries(record.byHour || {})) {
+        const target = result.series.get(bucketKey(record.day, Number(hour), 'hour'));
+        if (target) {
+          addBreakdown(target, bucket);
+        }
+      }
+    } else {
+      addBreakdown(result.series.get(bucketKey(record.day, 0, query.granularity)), record);
+    }
+  }
+  return finishResult(result);
+}
+
+function matchesFilter(list, value) {
+  return !list || list.includes(value);
+}
+
+// Summarize events from the log, applying the query's filters. Media events
+// carry no topic or content type, so they only count without those filters.
+export function summarizeEvents(events, query) {
+  const result = createResult(query, 'events');
+  const { domain, topic, contentType } = query.filters;
+  for (const event of events) {
+    if (event.day < query.from || event.day > query.to || !matchesFilter(domain, event.domain)) {
+      continue;
+    }
+
+    if (event.kind === 'media') {
+      if (topic || contentType) {
+        continue;
+      }
+      const media = result.totals.media;
+      const watchedMs = event.mutedMs + event.unmutedMs;
+      media.watchedMs += watchedMs;
+      media.mutedMs += event.mutedMs;
+      media.unmutedMs += event.unmutedMs;
+      media.byDomain[event.domain] = (media.byDomain[event.domain] || 0) + watchedMs;
+      result.daysWithData.add(event.day);
+      continue;
+    }
+
+    if (!matchesFilter(topic, event.topic) || !matchesFilter(contentType, event.contentType)) {
+      continue;
+    }
+    const breakdown = {
+      totalMs: event.deltaMs,
+      byDomain: { [event.domain]: event.deltaMs },
+      byContentType: { [event.contentType]: event.deltaMs },
+      byTopic: event.topic ? { [event.topic]: event.deltaMs } : {}
+    };
+    addBreakdown(result.totals, breakdown);
+    if (event.topic && isUniquePost(event)) {
+      result.totals.byTopicCounts[event.topic] = (result.totals.byTopicCounts[event.topic] || 0) + 1;
+    }
+    if (event.newPost) {
+      result.totals.postViews += 1;
+    }
+    if (isUniquePost(event)) {
+      result.totals.uniquePosts += 1;
+    }
+    if (typeof event.sentiment === 'number') {
+      // The same per-domain and per-topic split a day record would get
+      mergeSentiment(result.totals.sentiment, applyEvent(createDayRecord(event.day), event).sentiment);
+    }
+    if (event.emotion) {
+      result.totals.byEmotion[event.emotion] = (result.totals.byEmotion[event.emotion] || 0) + event.deltaMs;
+    }
+    if (event.language) {
+      result.totals.byLanguage[event.language] = (result.totals.byLanguage[event.language] || 0) + event.deltaMs;
+    }
+    if (event.topic && typeof event.topicConfidence === 'number') {
+      const predicted = event.predictedTopic || event.topic;
+      const weighted = result.totals.byTopicWeighted;
+      weighted[predicted] = (weighted[predicted] || 0) + event.deltaMs * event.topicConfidence;
+      result.totals.classifiedMs += event.deltaMs;
+      if (event.topic !== UNCERTAIN_TOPIC) {
+        result.totals.confidentMs += event.deltaMs;
+      }
+    }
+    addBreakdown(result.series.get(bucketKey(event.day, event.hour, query.granularity)), breakdown);
+    result.daysWithData.add(event.day);
+  }
+  return finishResult(result);
+}
@@ -0,0 +1,126 @@
+// retention.js
+// Retention policy for the engagement history, applied by a daily alarm in
+// background.js. History is kept in three tiers:
+//   - raw detail (logged events, embedding samples, session lists) for
+//     `retentionRawDays`
+//   - daily aggregates for `retentionDailyDays`
+//   - weekly and monthly rollups after that, kept indefinitely
+// Rolled-up periods lose their hourly buckets and per-video detail.
+
+import { localDayKey, addDays, weekStartKey, monthKey } from './time-buckets.js';
+import { createSentimentSummary, mergeSentiment } from './day-aggregates.js';
+import { purgeDetailBefore, rollUpDailyBefore } from './event-store.js';
+
+export const DEFAULT_RETENTION_RAW_DAYS = 30;
+export const DEFAULT_RETENTION_DAILY_DAYS = 365;
+
+// Days kept at each tier, with the daily tier never shorter than the raw one
+export function getRetentionPolicy(settings) {
+  const rawDays = Math.round(Number(settings?.retentionRawDays)) || DEFAULT_RETENTION_RAW_DAYS;
+  const dailyDays = Math.round(Number(settings?.retentionDailyDays)) || DEFAULT_RETENTION_DAILY_DAYS;
+  return {
+    rawDays: Math.max(1, rawDays),
+    dailyDays: Math.max(1, rawDays, dailyDays)
+  };
+}
+
+export function weekRollupKey(day) {
+  return `week:${weekStartKey(day)}`;
+}
+
+export function monthRollupKey(day) {
+  return `month:${monthKey(day)}`;
+}
+
+function createRollup(key) {
+  const [period, start] = key.split(':');
+  return {
+    key,
+    period,
+    start,
+    days: [],
+    totalMs: 0,
+    byDomain: {},
+    byContentType: {},
+    byTopic: {},
+    byTopicCounts: {},
+    byTopicWeighted: {},
+    classifiedMs: 0,
+    confidentMs: 0,
+    sentiment: createSentimentSummary(),
+    byEmotion: {},
+    byLanguage: {},
+    postViews: 0,
+    uniquePosts: 0,
+    media: { watchedMs: 0, mutedMs: 0, unmutedMs: 0, byDomain: {} }
+  };
+}
+
+function addCounts(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    target[key] = (target[key] || 0) + value;
+  }
+  return target;
+}
+
+// Add one day record to a rollup. A day already in the rollup is skipped, so
+// folding is safe to repeat.
+export function foldDayIntoRollup(rollup, key, record) {
+  const target = rollup || createRollup(key);
+  if (target.days.includes(record.day)) {
+    return target;
+  }
+  target.days.push(record.day);
+  target.days.sort();
+  target.totalMs += record.totalMs || 0;
+  addCounts(target.byDomain, record.byDomain);
+  addCounts(target.byContentType, record.byContentType);
+  addCounts(target.byTopic, record.byTopic);
+  addCounts(target.byTopicCounts, record.byTopicCounts);
+  target.byTopicWeighted = addCounts(target.byTopicWeighted || {}, record.byTopicWeighted);
+  target.classifiedMs = (target.classifiedMs || 0) + (record.classifiedMs || 0);
+  target.confidentMs = (target.confidentMs || 0) + (record.confidentMs || 0);
+  target.sentiment = mergeSentiment(target.sentiment || createSentimentSummary(), record.sentiment);
+  target.byEmotion = addCounts(target.byEmotion || {}, record.byEmotion);
+  target.byLanguage = addCounts(target.byLanguage || {}, record.byLanguage);
+  target.postViews = (target.postViews || 0) + (record.postViews || 0);
+  target.uniquePosts = (target.uniquePosts || 0) + (record.uniquePosts || 0);
+  if (record.media) {
+    target.media.watchedMs += record.media.watchedMs || 0;
+    target.media.mutedMs += record.media.mutedMs || 0;
+    target.media.unmutedMs += record.media.unmutedMs || 0;
+    addCounts(target.media.byDomain, record.media.byDomain);
+  }
+  return target;
+}
+
+// Session lists (chrome.storage `sessions_YYYY-MM-DD`) older than `beforeDay`
+async function purgeSessionListsBefore(beforeDay) {
+  const all = await chrome.storage.local.get(null);
+  const keys = Object.keys(all).filter(key =>
+    /^sessions_\d{4}-\d{2}-\d{2}$/.test(key) && key.slice('sessions_'.length) < beforeDay
+  );
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+  return keys.length;
+}
+
+// Apply the policy: drop raw detail past its window, then roll daily
+// aggregates past theirs into weekly and monthly totals
+export async function applyRetention(policy, today = localDayKey()) {
+  const rawCutoff = addDays(today, -policy.rawDays);
+  const dailyCutoff = addDays(today, -policy.dailyDays);
+
+  const purged = await purgeDetailBefore(rawCutoff);
+  const sessionLists = await purgeSessionListsBefore(rawCutoff);
+  const rolledUpDays = await rollUpDailyBefore(
+    dailyCutoff,
+    day => [weekRollupKey(day), monthRollupKey(day)],
+    foldDayIntoRollup
+  );
+
+  const result = { ...purged, sessionLists, rolledUpDays, rawCutoff, dailyCutoff };
+  console.log('[Horizon] Retention applied:', result);
+  return result;
+}
@@ -0,0 +1,253 @@
+// schema.js
+// Central registry of stored record types, their current versions and the
+// migrations that bring older data up to date. The service worker runs
+// `runMigrations()` once at startup, before any write.
+//
+// Versions live under one chrome.storage key (`schema_versions`) instead of
+// inside each record, so records that are rewritten wholesale (like
+// `settings` from the options page) keep their version. Migrations for a
+// type run in order; each must be idempotent, since a run interrupted by a
+// service-worker shutdown starts over from the last recorded version. A
+// failing migration stops that type's chain and is reported in
+// `schema_status` (shown in the options page) - data is never reset.
+
+import { createDayRecord, upgradeDayRecord } from './day-aggregates.js';
+import { importLegacyDay, updateAllDaily } from './event-store.js';
+import { putCachedEmbeddings } from './embedding-cache.js';
+import { DEFAULT_FEATURE_CONFIG, LEGACY_FEATURE_CONFIG } from './text-features.js';
+import { MODEL_STORAGE_KEY } from './simple-classifier.js';
+import { EMOTION_MODEL_STORAGE_KEY } from './emotion-classifier.js';
+
+const VERSIONS_KEY = 'schema_versions';
+const STATUS_KEY = 'schema_status';
+
+const DEFAULT_SETTINGS = {
+  enableTracking: false,
+  includeTitles: false,
+  enableML: false,
+  idleTimeoutSec: 60,
+  sessionGapMin: 10,
+  retentionRawDays: 30,
+  retentionDailyDays: 365,
+  classifierMode: 'naiveBayes',
+  confidenceThreshold: 0.5,
+  textFeatures: DEFAULT_FEATURE_CONFIG
+};
+
+async function fillDefaultSettings() {
+  const { settings } = await chrome.storage.local.get(['settings']);
+  if (settings) {
+    await chrome.storage.local.set({ settings: { ...DEFAULT_SETTINGS, ...settings } });
+  }
+}
+
+// Naive Bayes models saved before the feature pipeline counted plain words;
+// record that with the model so it keeps classifying the same way
+async function stampLegacyFeatureConfig(key) {
+  const { [key]: model } = await chrome.storage.local.get([key]);
+  if (model && !model.featureConfig) {
+    await chrome.storage.local.set({ [key]: { ...model, featureConfig: LEGACY_FEATURE_CONFIG } });
+  }
+}
+
+// Import day_/samples_ records written before the IndexedDB event log
+// existed, then drop them from chrome.storage.local
+async function importLegacyDayRecords() {
+  const all = await chrome.storage.local.get(null);
+  const dayKeys = Object.keys(all).filter(key => /^day_\d{4}-\d{2}-\d{2}$/.test(key));
+  const sampleKeys = Object.keys(all).filter(key => /^samples_\d{4}-\d{2}-\d{2}$/.test(key));
+  const days = new Set([...dayKeys, ...sampleKeys].map(key => key.slice(key.indexOf('_') + 1)));
+
+  for (const day of days) {
+    const legacyRecord = all[`day_${day}`] || createDayRecord(day);
+    const legacySamples = Array.isArray(all[`samples_${day}`]) ? all[`samples_${day}`] : [];
+    await importLegacyDay(day, legacyRecord, legacySamples);
+  }
+  if (dayKeys.length + sampleKeys.length > 0) {
+    await chrome.storage.local.remove([...dayKeys, ...sampleKeys]);
+    console.log(`[Horizon] Migrated ${days.size} day record(s) to IndexedDB`);
+  }
+}
+
+// Move the JSON embedding cache (`embedding_cache_v1`, most recent last)
+// into the binary IndexedDB cache
+async function importLegacyEmbeddingCache() {
+  const { embedding_cache_v1: legacy } = await chrome.storage.local.get(['embedding_cache_v1']);
+  if (!legacy) {
+    return;
+  }
+  const entries = Array.isArray(legacy.entries) ? legacy.entries : [];
+  const now = Date.now();
+  await putCachedEmbeddings(entries
+    .filter(entry => entry.hash && Array.isArray(entry.embedding))
+    .map((entry, index) => ({
+      hash: entry.hash,
+      embedding: entry.embedding,
+      lastUsedAt: now - (entries.length - index)
+    })));
+  await chrome.storage.local.remove(['embedding_cache_v1']);
+}
+
+// Every stored record type with its current version and the ordered
+// migrations that lead there. A type at version 0 has never been migrated.
+// Types that only ever had one format have no migrations. When a format
+// gains fields that an existing step already fills in, the version and that
+// step's `to` are bumped instead of adding another copy of the step.
+export const SCHEMA = {
+  settings: {
+    description: 'User settings (chrome.storage `settings`)',
+    version: 5,
+    migrations: [
+      {
+        to: 5,
+        description: 'Fill in defaults for settings added after the first release',
+        run: fillDefaultSettings
+      }
+    ]
+  },
+  dailyAggregates: {
+    description: 'Per-day aggregates (IndexedDB `daily`)',
+    version: 7,
+    migrations: [
+      {
+        to: 1,
+        description: 'Move day_YYYY-MM-DD records from chrome.storage into IndexedDB',
+        run: importLegacyDayRecords
+      },
+      {
+        to: 7,
+        description: 'Fill in fields older day records lack (hourly buckets, media, post counts, weighted topics, sentiment, emotion, language)',
+        run: () => updateAllDaily(upgradeDayRecord)
+      }
+    ]
+  },
+  events: {
+    description: 'Engagement event log (IndexedDB `events`)',
+    version: 1,
+    migrations: []
+  },
+  classifierModel: {
+    description: 'Naive Bayes model (chrome.storage `simple-classifier-model`)',
+    version: 2,
+    migrations: [
+      {
+        to: 2,
+        description: 'Store the feature config with the model',
+        run: () => stampLegacyFeatureConfig(MODEL_STORAGE_KEY)
+      }
+    ]
+  },
+  embeddingClassifier: {
+    description: 'Nearest-centroid embedding head (chrome.storage `embedding-classifier-model`)',
+    version: 1,
+    migrations: []
+  },
+  customTopics: {
+    description: 'User-defined topics (chrome.storage `custom_topics`)',
+    version: 1,
+    migrations: []
+  },
+  sentimentModel: {
+    description: 'Sentiment word model (chrome.storage `sentiment-model`)',
+    version: 1,
+    migrations: []
+  },
+  emotionClassifier: {
+    description: 'Emotion Naive Bayes model (chrome.storage `emotion-classifier-model`)',
+    version: 2,
+    migrations: [
+      {
+        to: 2,
+        description: 'Store the feature config with the model',
+        run: () => stampLegacyFeatureConfig(EMOTION_MODEL_STORAGE_KEY)
+      }
+    ]
+  },
+  embeddingCache: {
+    description: 'Title embedding cache (IndexedDB `embeddings`)',
+    version: 2,
+    migrations: [
+      {
+        to: 2,
+        description: 'Move the embedding cache from chrome.storage into IndexedDB',
+        run: importLegacyEmbeddingCache
+      }
+    ]
+  },
+  rollups: {
+    description: 'Weekly and monthly rollups of old days (IndexedDB `rollups`)',
+    version: 1,
+    migrations: []
+  },
+  inferenceJobs: {
+    description: 'Titles waiting for classification (IndexedDB `inference_jobs`)',
+    version: 1,
+    migrations: []
+  },
+  posts: {
+    description: 'Distinct posts for repeat detection (IndexedDB `posts`)',
+    version: 1,
+    migrations: []
+  },
+  sessions: {
+    description: 'Open and closed sessions (chrome.storage `sessions_*`)',
+    version: 1,
+    migrations: []
+  }
+};
+
+export async function getSchemaStatus() {
+  const stored = await chrome.storage.local.get([VERSIONS_KEY, STATUS_KEY]);
+  return {
+    versions: stored[VERSIONS_KEY] || {},
+    status: stored[STATUS_KEY] || null
+  };
+}
+
+// Bring every record type up to its current version. Resolves with the
+// status that was stored; never rejects.
+export async function runMigrations() {
+  const stored = await chrome.storage.local.get([VERSIONS_KEY]);
+  const versions = stored[VERSIONS_KEY] || {};
+  const failures = [];
+
+  for (const [type, definition] of Object.entries(SCHEMA)) {
+    const pending = definition.migrations
+      .filter(migration => migration.to > (versions[type] || 0))
+      .sort((a, b) => a.to - b.to);
+
+    let failed = false;
+    for (const migration of pending) {
+      try {
+        await migration.run();
+        versions[type] = migration.to;
+        await chrome.storage.local.set({ [VERSIONS_KEY]: versions });
+        console.log(`[Horizon] Migrated ${type} to v${migration.to}: ${migration.description}`);
+      } catch (error) {
+        failed = true;
+        console.error(`[Horizon] Migration of ${type} to v${migration.to} failed:`, error);
+        failures.push({
+          type,
+          from: versions[type] || 0,
+          to: migration.to,
+          description: migration.description,
+          error: error?.message || String(error)
+        });
+        break; // later migrations of this type depend on this one
+      }
+    }
+    // Versions past the last step need nothing done to existing records
+    if (!failed && (versions[type] || 0) < definition.version) {
+      versions[type] = definition.version;
+      await chrome.storage.local.set({ [VERSIONS_KEY]: versions });
+    }
+  }
+
+  const status = {
+    ok: failures.length === 0,
+    checkedAt: Date.now(),
+    failures
+  };
+  await chrome.storage.local.set({ [STATUS_KEY]: status });
+  return status;
+}
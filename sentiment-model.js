@@ -0,0 +1,151 @@
+// sentiment-model.js
+// On-device sentiment scoring of titles, trained on the `sentiment` column
+// of the bundled sample posts (-1 very negative ... 1 very positive).
+// Each word gets the average sentiment of the posts it appears in, smoothed
+// toward the overall mean; a title scores the mean of its known words, with
+// the deviation from the overall mean scaled by a factor fitted on the
+// training posts (averaging words pulls every score toward the middle).
+
+import { tokenize } from './text-features.js';
+import { stratifiedSplit } from './model-evaluation.js';
+import { countLanguages } from './language-id.js';
+
+export const SENTIMENT_MODEL_STORAGE_KEY = 'sentiment-model';
+const SMOOTHING = 5; // pseudo-posts at the overall mean added to every word
+const MIN_WORD_POSTS = 2; // words in fewer training posts are dropped
+
+function clamp(value) {
+  return Math.max(-1, Math.min(1, value));
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+export class SentimentModel {
+  constructor() {
+    this.wordValues = {}; // word -> smoothed average sentiment
+    this.mean = 0;
+    this.scale = 1;
+    this.languages = {}; // language -> training posts (see language-id.js)
+  }
+
+  // Learn from texts and their sentiment scores
+  train(texts, scores) {
+    this.mean = average(scores);
+    const sums = {};
+    const counts = {};
+    texts.forEach((text, index) => {
+      for (const word of new Set(tokenize(text))) {
+        sums[word] = (sums[word] || 0) + scores[index];
+        counts[word] = (counts[word] || 0) + 1;
+      }
+    });
+    this.wordValues = {};
+    for (const word of Object.keys(counts)) {
+      if (counts[word] >= MIN_WORD_POSTS) {
+        const value = (sums[word] + SMOOTHING * this.mean) / (counts[word] + SMOOTHING);
+        this.wordValues[word] = Number(value.toFixed(4));
+      }
+    }
+
+    // Least-squares fit of the scale on the training posts
+    this.scale = 1;
+    let covariance = 0;
+    let variance = 0;
+    texts.forEach((text, index) => {
+      const deviation = this.rawDeviation(text);
+      if (deviation !== null) {
+        covariance += deviation * (scores[index] - this.mean);
+        variance += deviation * deviation;
+      }
+    });
+    this.scale = variance > 0 ? covariance / variance : 1;
+    console.log(`[SentimentModel] Training complete: ${Object.keys(this.wordValues).length} words, scale ${this.scale.toFixed(2)}`);
+  }
+
+  // Mean known-word value minus the overall mean, or null without known words
+  rawDeviation(text) {
+    const values = tokenize(text)
+      .filter(word => word in this.wordValues)
+      .map(word => this.wordValues[word]);
+    return values.length > 0 ? average(values) - this.mean : null;
+  }
+
+  // Sentiment of a text in [-1, 1], or null when none of its words are known
+  score(text) {
+    const deviation = this.rawDeviation(text);
+    return deviation === null ? null : clamp(this.mean + deviation * this.scale);
+  }
+
+  toJSON() {
+    return { wordValues: this.wordValues, mean: this.mean, scale: this.scale, languages: this.languages };
+  }
+
+  static fromJSON(modelData) {
+    const model = new SentimentModel();
+    model.wordValues = modelData.wordValues || {};
+    model.mean = modelData.mean || 0;
+    model.scale = modelData.scale || 1;
+    model.languages = modelData.languages || {};
+    return model;
+  }
+
+  async save(extra = {}) {
+    const modelData = { ...this.toJSON(), ...extra };
+    await chrome.storage.local.set({ [SENTIMENT_MODEL_STORAGE_KEY]: modelData });
+    console.log('[SentimentModel] Model saved to chrome.storage');
+    return modelData;
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([SENTIMENT_MODEL_STORAGE_KEY]);
+    if (result[SENTIMENT_MODEL_STORAGE_KEY]) {
+      Object.assign(this, SentimentModel.fromJSON(result[SENTIMENT_MODEL_STORAGE_KEY]));
+      return true;
+    }
+    return false;
+  }
+}
+
+function correlation(xs, ys) {
+  const meanX = average(xs);
+  const meanY = average(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+}
+
+// Train on sample records with a sentiment score, using the same stratified
+// split as the topic models: held-out mean absolute error (next to that of
+// always guessing the mean) and correlation, then a final model on all of
+// them. Texts without known words are scored as the mean.
+export function trainSentimentFromRecords(records) {
+  const scored = records.filter(record => typeof record.sentiment === 'number');
+  const { train, test } = stratifiedSplit(scored);
+
+  const heldOut = new SentimentModel();
+  heldOut.train(train.map(record => record.text), train.map(record => record.sentiment));
+  const predicted = test.map(record => heldOut.score(record.text) ?? heldOut.mean);
+  const actual = test.map(record => record.sentiment);
+  const evaluation = {
+    meanAbsoluteError: average(actual.map((value, i) => Math.abs(value - predicted[i]))),
+    baselineMeanAbsoluteError: average(actual.map(value => Math.abs(value - heldOut.mean))),
+    correlation: correlation(predicted, actual),
+    trainSize: train.length,
+    testSize: test.length,
+    trainedAt: Date.now()
+  };
+  console.log(`[SentimentModel] Held-out MAE ${evaluation.meanAbsoluteError.toFixed(3)} (mean guess ${evaluation.baselineMeanAbsoluteError.toFixed(3)}), r = ${evaluation.correlation.toFixed(3)}`);
+
+  const model = new SentimentModel();
+  model.train(scored.map(record => record.text), scored.map(record => record.sentiment));
+  model.languages = countLanguages(scored);
+  return { model, evaluation };
+}
@@ -0,0 +1,165 @@
+// sessions.js
+// Session tracking for the background service worker.
+// A session is a run of engagement on one domain. It starts with the first
+// engagement after at least `gap` of silence on that domain and ends once the
+// domain has been quiet for `gap`. Open sessions live under one storage key so
+// they survive service-worker restarts; closed sessions are appended to a
+// per-day list keyed by the (local) day the session started.
+//
+// The mutating helpers work on plain objects; background.js loads and saves
+// them inside its write queue so session updates are batched with the rest.
+
+import { localDayKey, addDays } from './time-buckets.js';
+
+export const OPEN_SESSIONS_KEY = 'sessions_open';
+export const DEFAULT_SESSION_GAP_MIN = 10;
+const MAX_SESSIONS_PER_DAY = 500;
+
+export function getSessionGapMs(settings) {
+  const minutes = Number(settings?.sessionGapMin);
+  return (minutes > 0 ? minutes : DEFAULT_SESSION_GAP_MIN) * 60 * 1000;
+}
+
+export function sessionsKey(day) {
+  return `sessions_${day}`;
+}
+
+function createSession(domain, startedAt) {
+  return {
+    id: `${domain}-${startedAt}`,
+    domain,
+    startedAt,
+    lastActiveAt: startedAt,
+    activeMs: 0,
+    topics: {},
+    postCount: 0
+  };
+}
+
+// Turn an open session into the record we keep for closed ones
+function finalizeSession(session) {
+  return {
+    id: session.id,
+    domain: session.domain,
+    startedAt: session.startedAt,
+    endedAt: session.lastActiveAt,
+    durationMs: Math.max(0, session.lastActiveAt - session.startedAt),
+    activeMs: session.activeMs,
+    topics: session.topics,
+    postCount: session.postCount
+  };
+}
+
+// Record one engagement message against its domain's session in `open`
+// (domain -> open session). `data` carries domain, deltaMs, capturedAt,
+// topic and isNewPost. Returns the sessions this closed, if any.
+export function applySessionActivity(open, data, gapMs) {
+  const domain = data.domain || 'unknown';
+  const endedAt = data.capturedAt || Date.now();
+  const startedAt = endedAt - Math.max(0, data.deltaMs || 0);
+  const closed = [];
+
+  let session = open[domain];
+  if (session && startedAt - session.lastActiveAt > gapMs) {
+    closed.push(finalizeSession(session));
+    session = null;
+  }
+  if (!session) {
+    session = createSession(domain, startedAt);
+    console.log(`[Horizon] Session started on ${domain}`);
+  }
+
+  session.lastActiveAt = Math.max(session.lastActiveAt, endedAt);
+  session.activeMs += data.deltaMs || 0;
+  if (data.topic) {
+    session.topics[data.topic] = (session.topics[data.topic] || 0) + (data.deltaMs || 0);
+  }
+  if (data.isNewPost) {
+    session.postCount += 1;
+  }
+  open[domain] = session;
+  return closed;
+}
+
+// Close every session in `open` that has been quiet for longer than the gap
+export function closeStaleSessions(open, gapMs, now = Date.now()) {
+  const closed = [];
+  for (const [domain, session] of Object.entries(open)) {
+    if (now - session.lastActiveAt > gapMs) {
+      closed.push(finalizeSession(session));
+      delete open[domain];
+    }
+  }
+  if (closed.length > 0) {
+    console.log(`[Horizon] Closed ${closed.length} idle session(s)`);
+  }
+  return closed;
+}
+
+// Storage keys of the day lists that `closed` sessions belong to
+export function closedSessionKeys(closed) {
+  return Array.from(new Set(closed.map(session => sessionsKey(localDayKey(session.startedAt)))));
+}
+
+// Append closed sessions to their day lists. `lists` maps storage key to the
+// stored list (or undefined); the updated lists are written back into it.
+export function appendClosedSessions(lists, closed) {
+  for (const session of closed) {
+    const key = sessionsKey(localDayKey(session.startedAt));
+    const list = Array.isArray(lists[key]) ? lists[key] : [];
+    list.push(session);
+    lists[key] = list.slice(-MAX_SESSIONS_PER_DAY);
+  }
+  return lists;
+}
+
+// Storage keys of the day lists that may hold the closed sessions containing
+// `events` (a session can start the day before an event)
+export function sessionKeysForEvents(events) {
+  const keys = new Set();
+  for (const event of events) {
+    keys.add(sessionsKey(event.day));
+    keys.add(sessionsKey(addDays(event.day, -1)));
+  }
+  return Array.from(keys);
+}
+
+// Credit topics that were classified after the fact to the session each
+// event belonged to, open (`open`) or closed (`lists`, as loaded with
+// sessionKeysForEvents). Returns the storage keys that changed.
+export function addSessionTopics(open, lists, events) {
+  const changed = new Set();
+  for (const event of events) {
+    const startedAt = event.ts - event.deltaMs;
+    const openSession = open[event.domain];
+    if (openSession && openSession.startedAt <= startedAt) {
+      openSession.topics[event.topic] = (openSession.topics[event.topic] || 0) + event.deltaMs;
+      changed.add(OPEN_SESSIONS_KEY);
+      continue;
+    }
+    for (const key of [sessionsKey(event.day), sessionsKey(addDays(event.day, -1))]) {
+      const session = (lists[key] || []).find(candidate =>
+        candidate.domain === event.domain && candidate.startedAt <= startedAt && event.ts <= candidate.endedAt
+      );
+      if (session) {
+        session.topics[event.topic] = (session.topics[event.topic] || 0) + event.deltaMs;
+        changed.add(key);
+        break;
+      }
+    }
+  }
+  return Array.from(changed);
+}
+
+// Sessions that started on `day`: closed ones plus any still open (flagged)
+export async function getSessionsForDay(day) {
+  const key = sessionsKey(day);
+  const stored = await chrome.storage.local.get([key, OPEN_SESSIONS_KEY]);
+  const sessions = Array.isArray(stored[key]) ? stored[key].slice() : [];
+  for (const session of Object.values(stored[OPEN_SESSIONS_KEY] || {})) {
+    if (localDayKey(session.startedAt) === day) {
+      sessions.push({ ...finalizeSession(session), open: true });
+    }
+  }
+  return sessions.sort((a, b) => a.startedAt - b.startedAt);
+}
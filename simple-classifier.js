@@ -1,72 +1,160 @@
 // simple-classifier.js
 // A lightweight text classifier that doesn't require eval or external ML libraries
-// Uses Naive Bayes algorithm for topic classification
+// Uses a multinomial Naive Bayes model for topic classification, over the
+// features of text-features.js
+
+import { stratifiedSplit, evaluatePredictions } from './model-evaluation.js';
+import { countLanguages } from './language-id.js';
+import {
+  DEFAULT_FEATURE_CONFIG,
+  LEGACY_FEATURE_CONFIG,
+  extractFeatures,
+  countFeatures,
+  inverseDocumentFrequency
+} from './text-features.js';
+
+export const MODEL_STORAGE_KEY = 'simple-classifier-model';
+const SMOOTHING = 1; // Laplace smoothing of the per-category feature counts
+// Features in fewer training texts than this are dropped after training
+// (mostly one-off bigrams), which keeps the stored model well inside the
+// chrome.storage quota
+const MIN_DOCUMENT_FREQUENCY = 2;
 
 export class SimpleClassifier {
-  constructor() {
-    this.wordCounts = {}; // word -> category -> count
-    this.categoryCounts = {}; // category -> total count
+  // chrome.storage key of save() and load(); subclasses keep their own model
+  static storageKey = MODEL_STORAGE_KEY;
+
+  constructor({ featureConfig = DEFAULT_FEATURE_CONFIG } = {}) {
+    this.featureConfig = { ...featureConfig };
+    this.wordCounts = {}; // feature -> category -> count (TF-IDF weighted with `tfidf`)
+    this.categoryCounts = {}; // category -> training examples
+    this.categoryWordTotals = {}; // category -> sum of its feature counts
+    this.documentFrequencies = {}; // feature -> training examples containing it
+    this.documentCount = 0;
+    this.vocabularySize = 0;
     this.totalWords = 0;
-    this.categories = ['politics', 'sports', 'tech', 'entertainment'];
+    this.categories = []; // filled in from the training labels
+    this.languages = {}; // language -> training examples (see language-id.js)
   }
 
-  // Tokenize text into words
-  tokenize(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 2); // Filter out very short words
+  // Features of a text under this model's feature config
+  features(text) {
+    return extractFeatures(text, this.featureConfig);
+  }
+
+  // Record which features a training text contains (for TF-IDF and pruning)
+  noteDocument(counts) {
+    this.documentCount++;
+    for (const feature of counts.keys()) {
+      this.documentFrequencies[feature] = (this.documentFrequencies[feature] || 0) + 1;
+    }
   }
 
-  // Train the classifier with labeled examples
-  train(texts, labels) {
-    const categoryLabels = ['politics', 'sports', 'tech', 'entertainment'];
-    
-    texts.forEach((text, index) => {
-      const category = categoryLabels[labels[index]];
-      if (!this.categoryCounts[category]) {
-        this.categoryCounts[category] = 0;
+  // Feature -> weight of a text's feature counts: the counts themselves, or
+  // with TF-IDF (1 + log count) x inverse document frequency
+  weigh(counts) {
+    if (!this.featureConfig.tfidf) {
+      return counts;
+    }
+    const weights = new Map();
+    for (const [feature, count] of counts) {
+      const idf = inverseDocumentFrequency(this.documentFrequencies[feature], this.documentCount);
+      weights.set(feature, Number(((1 + Math.log(count)) * idf).toFixed(4)));
+    }
+    return weights;
+  }
+
+  addWeights(weights, category) {
+    if (!this.categoryCounts[category]) {
+      this.categoryCounts[category] = 0;
+      this.categoryWordTotals[category] = 0;
+      this.categories.push(category);
+      this.categories.sort();
+    }
+    this.categoryCounts[category]++;
+
+    for (const [feature, weight] of weights) {
+      if (!this.wordCounts[feature]) {
+        this.wordCounts[feature] = {};
+        this.vocabularySize++;
       }
-      this.categoryCounts[category]++;
+      this.wordCounts[feature][category] = (this.wordCounts[feature][category] || 0) + weight;
+      this.categoryWordTotals[category] += weight;
+      this.totalWords += weight;
+    }
+  }
 
-      const words = this.tokenize(text);
-      words.forEach(word => {
-        if (!this.wordCounts[word]) {
-          this.wordCounts[word] = {};
-        }
-        if (!this.wordCounts[word][category]) {
-          this.wordCounts[word][category] = 0;
+  // Add one labelled example
+  addExample(text, category) {
+    const counts = countFeatures(this.features(text));
+    this.noteDocument(counts);
+    this.addWeights(this.weigh(counts), category);
+  }
+
+  // Drop features found in fewer than `minDocuments` training texts
+  pruneRareFeatures(minDocuments) {
+    for (const [feature, byCategory] of Object.entries(this.wordCounts)) {
+      if ((this.documentFrequencies[feature] || 0) < minDocuments) {
+        for (const [category, count] of Object.entries(byCategory)) {
+          this.categoryWordTotals[category] -= count;
+          this.totalWords -= count;
         }
-        this.wordCounts[word][category]++;
-        this.totalWords++;
-      });
+        delete this.wordCounts[feature];
+        delete this.documentFrequencies[feature];
+        this.vocabularySize--;
+      }
+    }
+  }
+
+  // Train the classifier with labelled examples. `labels` are category
+  // names; the category list is whatever labels occur.
+  // `onProgress(done, total)` is called every few hundred examples.
+  train(texts, labels, onProgress = null) {
+    // Document frequencies come first so every example is weighted alike
+    const allCounts = texts.map(text => countFeatures(this.features(text)));
+    allCounts.forEach(counts => this.noteDocument(counts));
+    allCounts.forEach((counts, index) => {
+      this.addWeights(this.weigh(counts), labels[index]);
+      if (onProgress && (index + 1) % 500 === 0) {
+        onProgress(index + 1, texts.length);
+      }
     });
+    this.pruneRareFeatures(MIN_DOCUMENT_FREQUENCY);
+    if (onProgress) {
+      onProgress(texts.length, texts.length);
+    }
 
     console.log('[SimpleClassifier] Training complete');
     console.log('[SimpleClassifier] Categories:', this.categoryCounts);
-    console.log('[SimpleClassifier] Unique words:', Object.keys(this.wordCounts).length);
+    console.log('[SimpleClassifier] Features:', this.vocabularySize);
   }
 
-  // Classify a text
+  // Classify a text: log prior of each category plus the weighted log
+  // likelihood of each known feature, P(feature | category) =
+  // (count + smoothing) / (category total + smoothing x vocabulary size)
   classify(text) {
-    const words = this.tokenize(text);
+    if (this.categories.length === 0) {
+      return { category: 'unknown', confidence: 0, scores: {} }; // nothing trained yet
+    }
+    const weights = this.weigh(countFeatures(this.features(text)));
     const scores = {};
 
-    // Initialize scores
+    const documents = this.categories.reduce((sum, cat) => sum + this.categoryCounts[cat], 0);
     this.categories.forEach(cat => {
-      scores[cat] = Math.log(this.categoryCounts[cat] || 1);
+      scores[cat] = Math.log(this.categoryCounts[cat] / documents);
     });
 
-    // Calculate probability for each category
-    words.forEach(word => {
+    for (const [feature, weight] of weights) {
+      const counts = this.wordCounts[feature];
+      if (!counts) {
+        continue; // features never seen in training say nothing
+      }
       this.categories.forEach(cat => {
-        const wordCount = (this.wordCounts[word] && this.wordCounts[word][cat]) || 0;
-        const categoryTotal = this.categoryCounts[cat] || 1;
-        const probability = (wordCount + 1) / (categoryTotal + this.totalWords);
-        scores[cat] += Math.log(probability);
+        const probability = ((counts[cat] || 0) + SMOOTHING) /
+          (this.categoryWordTotals[cat] + SMOOTHING * this.vocabularySize);
+        scores[cat] += weight * Math.log(probability);
       });
-    });
+    }
 
     // Find the category with highest score
     let maxScore = -Infinity;
@@ -91,91 +179,112 @@ export class SimpleClassifier {
     };
   }
 
-  // Save model to storage
-  async save() {
-    const modelData = {
+  // Plain-object form of the model, as stored. The feature config goes with
+  // it so a loaded model extracts features as it did in training.
+  toJSON() {
+    return {
+      featureConfig: this.featureConfig,
       wordCounts: this.wordCounts,
       categoryCounts: this.categoryCounts,
+      categoryWordTotals: this.categoryWordTotals,
+      documentFrequencies: this.featureConfig.tfidf ? this.documentFrequencies : {},
+      documentCount: this.documentCount,
       totalWords: this.totalWords,
       categories: this.categories,
-      version: 1
+      languages: this.languages
     };
-    
-    await chrome.storage.local.set({ 'simple-classifier-model': modelData });
-    console.log('[SimpleClassifier] Model saved to chrome.storage');
+  }
+
+  static fromJSON(modelData) {
+    const classifier = new this({ featureConfig: modelData.featureConfig || LEGACY_FEATURE_CONFIG });
+    classifier.wordCounts = modelData.wordCounts || {};
+    classifier.categoryCounts = modelData.categoryCounts || {};
+    classifier.totalWords = modelData.totalWords || 0;
+    classifier.categories = modelData.categories || Object.keys(classifier.categoryCounts).sort();
+    classifier.languages = modelData.languages || {};
+    classifier.documentFrequencies = modelData.documentFrequencies || {};
+    classifier.documentCount = modelData.documentCount ||
+      Object.values(classifier.categoryCounts).reduce((sum, count) => sum + count, 0);
+    classifier.vocabularySize = Object.keys(classifier.wordCounts).length;
+    // Models saved before per-category totals were kept
+    classifier.categoryWordTotals = modelData.categoryWordTotals || {};
+    if (!modelData.categoryWordTotals) {
+      classifier.categories.forEach(cat => {
+        classifier.categoryWordTotals[cat] = 0;
+      });
+      for (const byCategory of Object.values(classifier.wordCounts)) {
+        for (const [cat, count] of Object.entries(byCategory)) {
+          classifier.categoryWordTotals[cat] = (classifier.categoryWordTotals[cat] || 0) + count;
+        }
+      }
+    }
+    return classifier;
+  }
+
+  // Save model to storage
+  async save(extra = {}) {
+    const modelData = { ...this.toJSON(), ...extra };
+    await chrome.storage.local.set({ [this.constructor.storageKey]: modelData });
+    console.log(`[${this.constructor.name}] Model saved to chrome.storage`);
     return modelData;
   }
 
   // Load model from storage
   async load() {
-    const result = await chrome.storage.local.get(['simple-classifier-model']);
-    if (result['simple-classifier-model']) {
-      const modelData = result['simple-classifier-model'];
-      this.wordCounts = modelData.wordCounts || {};
-      this.categoryCounts = modelData.categoryCounts || {};
-      this.totalWords = modelData.totalWords || 0;
-      this.categories = modelData.categories || ['politics', 'sports', 'tech', 'entertainment'];
-      console.log('[SimpleClassifier] Model loaded from chrome.storage');
+    const { storageKey } = this.constructor;
+    const result = await chrome.storage.local.get([storageKey]);
+    if (result[storageKey]) {
+      const loaded = this.constructor.fromJSON(result[storageKey]);
+      Object.assign(this, loaded);
+      console.log(`[${this.constructor.name}] Model loaded from chrome.storage`);
       return true;
     }
     return false;
   }
 }
 
-// Training function
-export async function trainSimpleClassifier() {
-  console.log("[SimpleClassifier] Starting training...");
-
-  // Training data
-  const texts = [
-    "Election results announced today", // politics
-    "New NBA record set by LeBron",     // sports
-    "Latest iPhone released",           // tech
-    "Oscar nominations revealed",       // entertainment
-    "Senate debates new bill",          // politics
-    "Basketball championship game tonight", // sports
-    "New smartphone features unveiled",  // tech
-    "Movie premiere red carpet",        // entertainment
-    "Congressional hearing scheduled",   // politics
-    "Football season starts",           // sports
-    "Software update available",       // tech
-    "Music festival lineup announced"   // entertainment
-  ];
-  const labels = [0, 1, 2, 3, 0, 1, 2, 3, 0, 1, 2, 3]; // More training data
-
-  const classifier = new SimpleClassifier();
-  classifier.train(texts, labels);
-
-  // Test the classifier
-  const testTexts = [
-    "Senator proposes new legislation",
-    "Quarterback throws touchdown",
-    "New app released for download",
-    "Actor wins academy award"
-  ];
-
-  console.log("[SimpleClassifier] Testing classifier:");
-  testTexts.forEach(text => {
-    const result = classifier.classify(text);
-    console.log(`  "${text}" -> ${result.category} (${(result.confidence * 100).toFixed(1)}%)`);
-  });
+// Train on labelled records ({ text, label }): evaluate a model trained on a
+// stratified split against the held-out records, then train the returned
+// model on everything. `extraRecords` (custom topic examples) are only ever
+// trained on. Uses no chrome.* APIs so it can run in the training worker.
+// `onProgress(phase, done, total)` reports progress; `featureConfig` (see
+// text-features.js) is stored with the model.
+export function trainFromRecords(records, onProgress = () => {}, extraRecords = [], featureConfig = DEFAULT_FEATURE_CONFIG) {
+  const split = stratifiedSplit(records);
+  const train = split.train.concat(extraRecords);
+  const test = split.test;
 
-  // Save model
-  await classifier.save();
+  const heldOut = new SimpleClassifier({ featureConfig });
+  heldOut.train(
+    train.map(record => record.text),
+    train.map(record => record.label),
+    (done, total) => onProgress('training', done, total)
+  );
 
-  // Calculate accuracy on training data
-  let correct = 0;
-  const categoryLabels = ['politics', 'sports', 'tech', 'entertainment'];
-  texts.forEach((text, index) => {
-    const result = classifier.classify(text);
-    if (result.category === categoryLabels[labels[index]]) {
-      correct++;
+  const predicted = test.map((record, index) => {
+    if ((index + 1) % 100 === 0 || index + 1 === test.length) {
+      onProgress('evaluating', index + 1, test.length);
     }
+    return heldOut.classify(record.text).category;
   });
-  const accuracy = correct / texts.length;
+  const evaluation = evaluatePredictions(
+    test.map(record => record.label),
+    predicted,
+    heldOut.categories
+  );
+  console.log(`[SimpleClassifier] Held-out accuracy: ${(evaluation.accuracy * 100).toFixed(2)}%, macro F1: ${evaluation.macro.f1.toFixed(3)} on ${test.length} posts`);
 
-  console.log(`[SimpleClassifier] Training accuracy: ${(accuracy * 100).toFixed(2)}%`);
+  const all = records.concat(extraRecords);
+  const classifier = new SimpleClassifier({ featureConfig });
+  classifier.train(
+    all.map(record => record.text),
+    all.map(record => record.label),
+    (done, total) => onProgress('finalizing', done, total)
+  );
+  classifier.languages = countLanguages(all);
 
-  return { accuracy };
+  return {
+    classifier,
+    evaluation: { ...evaluation, trainSize: train.length, trainedAt: Date.now() }
+  };
 }
-
@@ -0,0 +1,262 @@
+// Platform adapters against saved pages (test/fixtures/adapters): a feed and
+// a permalink page per platform in the site's own markup, trimmed, with ads,
+// comments, quotes and reposts left in. Each page is loaded into jsdom at its
+// original URL with the registry and every adapter, in manifest order, so the
+// test also checks that the page picks the right adapter.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const root = new URL('../', import.meta.url);
+const manifest = JSON.parse(readFileSync(new URL('manifest.json', root), 'utf8'));
+const adapterScripts = manifest.content_scripts[0].js
+  .filter(path => path.startsWith('adapters/'))
+  .map(path => readFileSync(new URL(path, root), 'utf8'));
+
+function loadPage(file, url) {
+  const html = readFileSync(new URL(`fixtures/adapters/${file}.html`, import.meta.url), 'utf8');
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  adapterScripts.forEach(source => dom.window.eval(source));
+  return dom.window;
+}
+
+// The posts content_script.js tracks: matches that are not inside another match
+function trackedPosts(document, adapter) {
+  return Array.from(document.querySelectorAll(adapter.postSelector))
+    .filter(el => !el.parentElement.closest(adapter.postSelector));
+}
+
+const pages = [
+  {
+    name: 'twitter',
+    file: 'twitter-feed',
+    url: 'https://x.com/home',
+    pageKind: 'feed',
+    title: '',
+    posts: [
+      ['/NASAWebb/status/1790391823765410147', 'Looking deep into the Pillars of Creation Webb\'s infrared view reveals newly forming stars hidden in the gas and dust: https://nasa.gov/webb-pillars'],
+      // A repost quoting another post: the quote stays part of it
+      ['/esa_webb/status/1790377402135421122', 'A cosmic question mark, spotted by chance in our latest deep field'],
+      // Ads have no permalink
+      ['', 'Deploy in seconds. Scale to millions. Try Nimbus free for 30 days.']
+    ]
+  },
+  {
+    name: 'twitter',
+    file: 'twitter-permalink',
+    url: 'https://x.com/NASAWebb/status/1790391823765410147',
+    pageKind: 'permalink',
+    title: 'Looking deep into the Pillars of Creation Webb\'s infrared view reveals newly forming stars hidden in the gas and dust: https://nasa.gov/webb-pillars',
+    posts: [
+      ['/NASAWebb/status/1790391823765410147', 'Looking deep into the Pillars of Creation Webb\'s infrared view reveals newly forming stars hidden in the gas and dust: https://nasa.gov/webb-pillars'],
+      ['/marsha_h/status/1790393002245412900', 'This is my new wallpaper, thank you!'],
+      ['/astro_dan/status/1790398871734190205', 'How long was the exposure for this one?']
+    ]
+  },
+  {
+    // The promoted post is a shreddit-ad-post and not tracked
+    name: 'reddit',
+    file: 'reddit-feed',
+    url: 'https://www.reddit.com/r/space/',
+    pageKind: 'feed',
+    title: 'r/space',
+    posts: [
+      ['/r/space/comments/1crqz1k/webb_telescope_finds_water_vapour_around_a_rocky/', 'Webb telescope finds water vapour around a rocky exoplanet'],
+      ['/r/space/comments/1crt88b/starship_flight_4_launch_window_opens_june_5/', 'Starship Flight 4 launch window opens June 5'],
+      ['/r/space/comments/1crw2lq/a_galaxy_gallery_from_the_euclid_early_release/', 'A galaxy gallery from the Euclid early release']
+    ]
+  },
+  {
+    name: 'reddit',
+    file: 'reddit-permalink',
+    url: 'https://www.reddit.com/r/space/comments/1crqz1k/webb_telescope_finds_water_vapour_around_a_rocky/',
+    pageKind: 'permalink',
+    title: 'Webb telescope finds water vapour around a rocky exoplanet',
+    posts: [
+      ['/r/space/comments/1crqz1k/webb_telescope_finds_water_vapour_around_a_rocky/', 'Webb telescope finds water vapour around a rocky exoplanet']
+    ]
+  },
+  {
+    // Feed captions are not headings, so the snippet falls back to the image
+    // description, and a reel without one has no snippet
+    name: 'instagram',
+    file: 'instagram-feed',
+    url: 'https://www.instagram.com/',
+    pageKind: 'feed',
+    title: 'Instagram',
+    posts: [
+      ['/p/C6zQ1x2Lk9P/', 'Photo by Alpine Journal on May 14, 2024. May be an image of mountain, snow and twilight.'],
+      ['/reel/C6xK0pQr3tU/', '']
+    ]
+  },
+  {
+    name: 'instagram',
+    file: 'instagram-permalink',
+    url: 'https://www.instagram.com/p/C6zQ1x2Lk9P/',
+    pageKind: 'permalink',
+    title: 'Alpine Journal on Instagram: "Sunrise over the Eiger this morning. Worth the 4am alarm. #alps"',
+    posts: [
+      ['/p/C6zQ1x2Lk9P/', 'Sunrise over the Eiger this morning. Worth the 4am alarm. #alps']
+    ]
+  },
+  {
+    name: 'youtube',
+    file: 'youtube-feed',
+    url: 'https://www.youtube.com/',
+    pageKind: 'feed',
+    title: '',
+    posts: [
+      ['/watch?v=9m3rE7aGkKc', 'How sourdough starters work'],
+      ['', 'Learn to code in 12 weeks'],
+      ['/shorts/Qw8LxN2pZsE', 'Shaping a boule in 30 seconds']
+    ]
+  },
+  {
+    // The recommended videos next to the player are not posts: time on a
+    // watch page belongs to the video being watched
+    name: 'youtube',
+    file: 'youtube-permalink',
+    url: 'https://www.youtube.com/watch?v=9m3rE7aGkKc',
+    pageKind: 'permalink',
+    title: 'How sourdough starters work',
+    posts: []
+  },
+  {
+    // For You items do not link to their video; the live item has no id at all
+    name: 'tiktok',
+    file: 'tiktok-feed',
+    url: 'https://www.tiktok.com/foryou',
+    pageKind: 'feed',
+    title: '',
+    posts: [
+      ['video:7364012345678901234', 'Crispy chilli oil in ten minutes #cooking #chilioil'],
+      ['video:7363987654321098765', 'What I carry on a 50k ultra'],
+      ['', '']
+    ]
+  },
+  {
+    name: 'tiktok',
+    file: 'tiktok-permalink',
+    url: 'https://www.tiktok.com/@weeknightchef/video/7364012345678901234',
+    pageKind: 'permalink',
+    title: 'Crispy chilli oil in ten minutes #cooking #chilioil',
+    posts: []
+  },
+  {
+    // textContent has no line breaks, so <br>-separated lines run together
+    name: 'linkedin',
+    file: 'linkedin-feed',
+    url: 'https://www.linkedin.com/feed/',
+    pageKind: 'feed',
+    title: '',
+    posts: [
+      ['urn:li:activity:7195432100012345678', 'After six months we moved every nightly job to the new pipeline.Three things I would do differently:'],
+      ['urn:li:sponsoredContentV2:(urn:li:sponsoredCreative:551234567)', 'Dashboards your CFO will actually read. Book a demo.'],
+      ['urn:li:activity:7195398800011112222', 'We are hiring data engineers in Lisbon and Berlin']
+    ]
+  },
+  {
+    name: 'linkedin',
+    file: 'linkedin-permalink',
+    url: 'https://www.linkedin.com/feed/update/urn:li:activity:7195432100012345678/',
+    pageKind: 'permalink',
+    title: 'Dana Whitfield on LinkedIn: After six months we moved every nightly job to the new pipeline. Three… | 12 comments',
+    posts: [
+      ['urn:li:activity:7195432100012345678', 'After six months we moved every nightly job to the new pipeline.Three things I would do differently:1. Backfill first2. Keep the old jobs running for a month3. Alert on row counts, not just failures']
+    ]
+  },
+  {
+    // Comments inside a feed unit are articles too, but belong to their post
+    name: 'facebook',
+    file: 'facebook-feed',
+    url: 'https://www.facebook.com/',
+    pageKind: 'feed',
+    title: '',
+    posts: [
+      ['https://www.facebook.com/citylibrary/posts/pfbid02abcDEFuV8mKq1sYw7Zl', 'Summer reading starts on Monday: sign up at any branch.Kids who finish ten books get a free tote bag 📚'],
+      ['https://www.facebook.com/groups/trailrunnerslisbon/posts/7712345678901234/', 'Sunday long run from Belém, 7am, easy pace. All welcome!'],
+      ['', 'New patients get a free whitening consultation this month.']
+    ]
+  },
+  {
+    // Outside the feed a post is not a feed unit, so its time is page-level
+    name: 'facebook',
+    file: 'facebook-permalink',
+    url: 'https://www.facebook.com/citylibrary/posts/pfbid02abcDEFuV8mKq1sYw7Zl',
+    pageKind: 'permalink',
+    title: 'Summer reading starts on Monday: sign up at any branch. Kids who finish ten books get a free tote bag 📚',
+    posts: []
+  },
+  {
+    name: 'bluesky',
+    file: 'bluesky-feed',
+    url: 'https://bsky.app/',
+    pageKind: 'feed',
+    title: '',
+    posts: [
+      ['/profile/alice.bsky.social/post/3kq2abcdxyz2a', 'Finished the new trail guide, maps and all. Out in June #hiking'],
+      ['/profile/natgeo.bsky.social/post/3kq1zzyyxxw2b', 'Meet the octopus that changes colour in its sleep']
+    ]
+  },
+  {
+    name: 'bluesky',
+    file: 'bluesky-permalink',
+    url: 'https://bsky.app/profile/alice.bsky.social/post/3kq2abcdxyz2a',
+    pageKind: 'permalink',
+    title: 'Finished the new trail guide, maps and all. Out in June #hiking',
+    posts: [
+      ['/profile/alice.bsky.social/post/3kq2abcdxyz2a', 'Finished the new trail guide, maps and all. Out in June #hiking'],
+      ['/profile/bob.dev/post/3kq2bbccdd4e', 'Is the Serra da Estrela loop in there?']
+    ]
+  },
+  {
+    // A self-hosted instance, recognized by its DOM rather than its host
+    name: 'mastodon',
+    file: 'mastodon-feed',
+    url: 'https://fosstodon.org/home',
+    pageKind: 'feed',
+    title: '',
+    posts: [
+      ['112345678901234567', 'Our river cleanup pulled 40 bags of litter out this weekend. Thanks to everyone who came! #volunteering'],
+      ['112340000111222333', 'A cheap home weather station on a Raspberry Pi, with the build notes'],
+      ['112346111222333444', 'I did not see that ending coming at all']
+    ]
+  },
+  {
+    name: 'mastodon',
+    file: 'mastodon-permalink',
+    url: 'https://fosstodon.org/@bob/112345678901234567',
+    pageKind: 'permalink',
+    title: 'Our river cleanup pulled 40 bags of litter out this weekend. Thanks to everyone who came! #volunteering',
+    posts: [
+      ['112345678901234567', 'Our river cleanup pulled 40 bags of litter out this weekend. Thanks to everyone who came! #volunteering'],
+      ['112345700000000001', '@bob Great work, same time next month?']
+    ]
+  }
+];
+
+for (const page of pages) {
+  test(`${page.name} adapter reads ${page.file}`, () => {
+    const window = loadPage(page.file, page.url);
+    const { document, location } = window;
+    const adapter = window.HorizonAdapters.forLocation(location, document);
+    assert.equal(adapter.id, page.name);
+    assert.equal(adapter.getPageKind(location, document), page.pageKind);
+    assert.equal(adapter.extractTitle(document, location), page.title);
+
+    const posts = trackedPosts(document, adapter).map(el => [adapter.getPostId(el), adapter.getPostSnippet(el)]);
+    assert.deepEqual(posts, page.posts);
+  });
+}
+
+test('every adapter in the manifest has a saved feed and permalink page', () => {
+  const window = loadPage('twitter-feed', 'https://x.com/');
+  // Array.from copies the list out of the page's realm for deepEqual
+  const ids = Array.from(window.HorizonAdapters.list(), adapter => adapter.id).sort();
+  for (const pageKind of ['feed', 'permalink']) {
+    const names = pages.filter(page => page.pageKind === pageKind).map(page => page.name).sort();
+    assert.deepEqual(names, ids, pageKind);
+  }
+});
@@ -0,0 +1,101 @@
+// In-memory stand-in for the chrome.* APIs the background modules use.
+// chrome.storage.local keeps structured clones like the real one and fires
+// onChanged; everything else records listeners and answers with nothing.
+// IndexedDB comes from fake-indexeddb (import 'fake-indexeddb/auto' first).
+
+function listenerList() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => listeners.splice(listeners.indexOf(listener), 1)
+  };
+}
+
+export function installChromeStub(initial = {}) {
+  const data = new Map(Object.entries(structuredClone(initial)));
+  const onChanged = listenerList();
+
+  function notify(changes) {
+    if (Object.keys(changes).length > 0) {
+      onChanged.listeners.forEach(listener => listener(changes, 'local'));
+    }
+  }
+
+  const local = {
+    async get(keys) {
+      const wanted = keys === null || keys === undefined
+        ? Array.from(data.keys())
+        : [].concat(keys);
+      const result = {};
+      for (const key of wanted) {
+        if (data.has(key)) {
+          result[key] = structuredClone(data.get(key));
+        }
+      }
+      return result;
+    },
+    async set(items) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: data.get(key), newValue: structuredClone(value) };
+        data.set(key, structuredClone(value));
+      }
+      notify(changes);
+    },
+    async remove(keys) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (data.has(key)) {
+          changes[key] = { oldValue: data.get(key) };
+          data.delete(key);
+        }
+      }
+      notify(changes);
+    },
+    async getBytesInUse() {
+      return JSON.stringify(Object.fromEntries(data)).length;
+    }
+  };
+
+  const chrome = {
+    storage: { local, onChanged },
+    runtime: {
+      id: 'horizon-test',
+      onMessage: listenerList(),
+      onSuspend: listenerList(),
+      onInstalled: listenerList(),
+      getURL: path => `chrome-extension://horizon-test/${path}`,
+      getContexts: async () => [],
+      sendMessage: async () => undefined
+    },
+    alarms: {
+      create: () => {},
+      get: async () => undefined,
+      onAlarm: listenerList()
+    },
+    idle: {
+      setDetectionInterval: () => {},
+      queryState: async () => 'active',
+      onStateChanged: listenerList()
+    },
+    tabs: {
+      query: async () => [],
+      sendMessage: async () => undefined
+    },
+    offscreen: {
+      createDocument: async () => {}
+    }
+  };
+  globalThis.chrome = chrome;
+  return chrome;
+}
+
+// Send a runtime message to the first onMessage listener (background.js) and
+// resolve with its sendResponse reply
+export function sendMessage(chrome, message) {
+  return new Promise(resolve => {
+    const [listener] = chrome.runtime.onMessage.listeners;
+    listener(message, {}, resolve);
+  });
+}
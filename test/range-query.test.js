@@ -0,0 +1,204 @@
+// Range queries: validation, week/month bucketing, filters and rollups in
+// range-query.js, then get_range_summary end to end in background.js
+// against the chrome stub and fake-indexeddb.
+
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeStub, sendMessage } from './chrome-stub.js';
+import {
+  normalizeRangeQuery,
+  hasFilters,
+  bucketKey,
+  listBuckets,
+  summarizeDailyRecords,
+  summarizeEvents
+} from '../range-query.js';
+import { createDayRecord, createEvent, applyEvent } from '../day-aggregates.js';
+import { foldDayIntoRollup, applyRetention } from '../retention.js';
+import { startOfLocalDay, addDays } from '../time-buckets.js';
+
+mock.method(console, 'log', () => {});
+
+const HOUR = 60 * 60 * 1000;
+
+function engagement(day, hour, fields) {
+  return createEvent('engagement', { capturedAt: startOfLocalDay(day) + hour * HOUR, contentType: 'short_text', ...fields });
+}
+
+function dayRecord(day, events) {
+  return events.reduce((record, event) => applyEvent(record, event), createDayRecord(day));
+}
+
+test('normalizeRangeQuery fills in defaults', () => {
+  assert.deepEqual(normalizeRangeQuery({}, '2024-05-20'), {
+    from: '2024-05-20',
+    to: '2024-05-20',
+    granularity: 'day',
+    filters: { domain: null, topic: null, contentType: null }
+  });
+  assert.equal(normalizeRangeQuery({ from: '2024-05-01' }, '2024-05-20').to, '2024-05-01');
+});
+
+test('normalizeRangeQuery turns filters into lists', () => {
+  const query = normalizeRangeQuery({
+    from: '2024-05-01',
+    to: '2024-05-07',
+    filters: { domain: 'x.com', topic: ['science', 'sports', ''], contentType: '' }
+  });
+  assert.deepEqual(query.filters, { domain: ['x.com'], topic: ['science', 'sports'], contentType: null });
+  assert.equal(hasFilters(query), true);
+  assert.equal(hasFilters(normalizeRangeQuery({ from: '2024-05-01' })), false);
+});
+
+test('normalizeRangeQuery rejects malformed queries', () => {
+  assert.throws(() => normalizeRangeQuery({ from: '2024-5-1' }), /YYYY-MM-DD/);
+  assert.throws(() => normalizeRangeQuery({ from: '2024-05-01', to: 'yesterday' }), /YYYY-MM-DD/);
+  assert.throws(() => normalizeRangeQuery({ from: '2024-05-02', to: '2024-05-01' }), /starts after it ends/);
+  assert.throws(() => normalizeRangeQuery({ from: '2024-05-01', granularity: 'year' }), /Unknown granularity/);
+  assert.throws(
+    () => normalizeRangeQuery({ from: '2024-01-01', to: '2024-12-31', granularity: 'hour' }),
+    /Range too long/
+  );
+  assert.doesNotThrow(() => normalizeRangeQuery({ from: '2024-01-01', to: '2024-12-31', granularity: 'day' }));
+});
+
+test('weeks start on Monday and months on the first', () => {
+  assert.equal(bucketKey('2024-05-15', 0, 'week'), '2024-05-13'); // a Wednesday
+  assert.equal(bucketKey('2024-05-19', 0, 'week'), '2024-05-13'); // a Sunday
+  assert.equal(bucketKey('2024-05-20', 0, 'week'), '2024-05-20'); // a Monday
+  assert.equal(bucketKey('2024-05-15', 0, 'month'), '2024-05');
+  assert.equal(bucketKey('2024-05-15', 7, 'hour'), '2024-05-15T07');
+
+  assert.deepEqual(
+    listBuckets({ from: '2024-04-28', to: '2024-05-06', granularity: 'week' }),
+    ['2024-04-22', '2024-04-29', '2024-05-06']
+  );
+  assert.deepEqual(
+    listBuckets({ from: '2024-01-30', to: '2024-03-01', granularity: 'month' }),
+    ['2024-01', '2024-02', '2024-03']
+  );
+});
+
+test('day records are bucketed into weeks and months', () => {
+  const records = [
+    dayRecord('2024-04-30', [engagement('2024-04-30', 9, { domain: 'x.com', deltaMs: 1000 })]),
+    dayRecord('2024-05-05', [engagement('2024-05-05', 9, { domain: 'x.com', deltaMs: 2000 })]),
+    dayRecord('2024-05-06', [engagement('2024-05-06', 9, { domain: 'bsky.app', deltaMs: 4000 })])
+  ];
+
+  const weekly = summarizeDailyRecords(records, normalizeRangeQuery({ from: '2024-04-30', to: '2024-05-06', granularity: 'week' }));
+  assert.deepEqual(weekly.series.map(bucket => [bucket.key, bucket.totalMs]), [['2024-04-29', 3000], ['2024-05-06', 4000]]);
+  assert.equal(weekly.totals.totalMs, 7000);
+  assert.equal(weekly.daysWithData, 3);
+
+  const monthly = summarizeDailyRecords(records, normalizeRangeQuery({ from: '2024-04-30', to: '2024-05-06', granularity: 'month' }));
+  assert.deepEqual(monthly.series.map(bucket => [bucket.key, bucket.totalMs]), [['2024-04', 1000], ['2024-05', 6000]]);
+  assert.deepEqual(monthly.series[1].byDomain, { 'x.com': 2000, 'bsky.app': 4000 });
+});
+
+test('domain and topic filters pick matching events', () => {
+  const events = [
+    engagement('2024-05-01', 9, { domain: 'x.com', deltaMs: 1000, topic: 'science' }),
+    engagement('2024-05-01', 10, { domain: 'x.com', deltaMs: 2000, topic: 'sports' }),
+    engagement('2024-05-02', 9, { domain: 'bsky.app', deltaMs: 4000, topic: 'science' }),
+    createEvent('media', { capturedAt: startOfLocalDay('2024-05-02') + 11 * HOUR, domain: 'x.com', mutedMs: 500, unmutedMs: 300 })
+  ];
+
+  const byDomain = summarizeEvents(events, normalizeRangeQuery({ from: '2024-05-01', to: '2024-05-02', filters: { domain: 'x.com' } }));
+  assert.equal(byDomain.totals.totalMs, 3000);
+  assert.deepEqual(byDomain.totals.byTopic, { science: 1000, sports: 2000 });
+  assert.equal(byDomain.totals.media.watchedMs, 800, 'media counts under a domain filter');
+
+  const byTopic = summarizeEvents(events, normalizeRangeQuery({ from: '2024-05-01', to: '2024-05-02', filters: { topic: 'science' } }));
+  assert.equal(byTopic.totals.totalMs, 5000);
+  assert.deepEqual(byTopic.totals.byDomain, { 'x.com': 1000, 'bsky.app': 4000 });
+  assert.equal(byTopic.totals.media.watchedMs, 0, 'media has no topic');
+
+  const both = summarizeEvents(events, normalizeRangeQuery({
+    from: '2024-05-01',
+    to: '2024-05-02',
+    granularity: 'hour',
+    filters: { domain: ['x.com', 'bsky.app'], topic: 'science' }
+  }));
+  assert.equal(both.totals.totalMs, 5000);
+  const hours = both.series.filter(bucket => bucket.totalMs > 0).map(bucket => [bucket.key, bucket.totalMs]);
+  assert.deepEqual(hours, [['2024-05-01T09', 1000], ['2024-05-02T09', 4000]]);
+});
+
+test('rolled-up days are merged into the totals', () => {
+  // April 1-2 are rolled up; April 29 - May 1 are still daily
+  const old = [
+    dayRecord('2024-04-01', [engagement('2024-04-01', 9, { domain: 'x.com', deltaMs: 1000 })]),
+    dayRecord('2024-04-02', [engagement('2024-04-02', 9, { domain: 'bsky.app', deltaMs: 2000 })])
+  ];
+  const rollups = [
+    old.reduce((rollup, record) => foldDayIntoRollup(rollup, 'month:2024-04', record), undefined),
+    old.reduce((rollup, record) => foldDayIntoRollup(rollup, 'week:2024-04-01', record), undefined)
+  ];
+  const records = [
+    dayRecord('2024-04-29', [engagement('2024-04-29', 9, { domain: 'x.com', deltaMs: 4000 })]),
+    dayRecord('2024-05-01', [engagement('2024-05-01', 9, { domain: 'x.com', deltaMs: 8000 })])
+  ];
+
+  const monthly = summarizeDailyRecords(records, normalizeRangeQuery({ from: '2024-04-02', to: '2024-05-01', granularity: 'month' }), rollups);
+  assert.equal(monthly.totals.totalMs, 15000, 'a rollup with a day in range counts in full');
+  assert.deepEqual(monthly.totals.byDomain, { 'x.com': 13000, 'bsky.app': 2000 });
+  assert.deepEqual(monthly.rolledUp, ['month:2024-04']);
+  assert.deepEqual(monthly.series.map(bucket => [bucket.key, bucket.totalMs]), [['2024-04', 7000], ['2024-05', 8000]]);
+  assert.equal(monthly.daysWithData, 4);
+
+  const weekly = summarizeDailyRecords(records, normalizeRangeQuery({ from: '2024-04-01', to: '2024-05-01', granularity: 'week' }), rollups);
+  assert.equal(weekly.totals.totalMs, 15000);
+  assert.deepEqual(weekly.rolledUp, ['week:2024-04-01']);
+  assert.equal(weekly.series[0].totalMs, 3000);
+
+  const daily = summarizeDailyRecords(records, normalizeRangeQuery({ from: '2024-04-01', to: '2024-05-01' }), rollups);
+  assert.equal(daily.totals.totalMs, 15000, 'day series get monthly rollups in the totals only');
+  assert.equal(daily.series.reduce((sum, bucket) => sum + bucket.totalMs, 0), 12000);
+});
+
+test('get_range_summary answers from daily records, rollups and the event log', async () => {
+  const chrome = installChromeStub({ settings: { enableTracking: true } });
+  await import('../background.js');
+  const { appendEvents } = await import('../event-store.js');
+
+  // May 1-20, one event a day, alternating domains. Retention keeps raw
+  // events from May 18 on and daily records from May 15 on; May 1-14 are
+  // rolled up.
+  const today = '2024-05-20';
+  const events = [];
+  for (let i = 0; i < 20; i++) {
+    events.push(engagement(addDays(today, -i), 10, {
+      domain: i % 2 === 0 ? 'x.com' : 'bsky.app',
+      deltaMs: 1000 * (i + 1),
+      topic: 'science'
+    }));
+  }
+  await appendEvents(events);
+  const retention = await applyRetention({ rawDays: 2, dailyDays: 5 }, today);
+  assert.equal(retention.rolledUpDays, 14);
+
+  const allMs = events.reduce((sum, event) => sum + event.deltaMs, 0);
+  for (const granularity of ['day', 'week', 'month']) {
+    const reply = await sendMessage(chrome, {
+      type: 'get_range_summary',
+      query: { from: '2024-05-01', to: today, granularity }
+    });
+    assert.equal(reply.success, true);
+    assert.equal(reply.summary.source, 'daily');
+    assert.equal(reply.summary.totals.totalMs, allMs, granularity);
+  }
+
+  // Filtered queries only see events still in the log (x.com on May 18 and 20)
+  const filtered = await sendMessage(chrome, {
+    type: 'get_range_summary',
+    query: { from: '2024-05-01', to: today, filters: { domain: 'x.com' } }
+  });
+  assert.equal(filtered.summary.source, 'events');
+  assert.equal(filtered.summary.totals.totalMs, 1000 + 3000);
+
+  const invalid = await sendMessage(chrome, { type: 'get_range_summary', query: { from: '2024-05-20', to: '2024-05-01' } });
+  assert.equal(invalid.success, false);
+  assert.match(invalid.error, /starts after it ends/);
+});
@@ -0,0 +1,103 @@
+// Stress test of the write pipeline: background.js runs against the chrome
+// stub and fake-indexeddb, many engagement_time messages arrive at once in
+// overlapping waves, and every millisecond they carry must end up in the
+// event log and the day record.
+
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeStub, sendMessage } from './chrome-stub.js';
+
+mock.method(console, 'log', () => {}); // background.js logs every write
+
+const chrome = installChromeStub({
+  settings: { enableTracking: true, includeTitles: true, enableML: false }
+});
+await import('../background.js');
+const { getDaily, getEventsForDay } = await import('../event-store.js');
+const { localDayKey, startOfLocalDay } = await import('../time-buckets.js');
+
+const WAVES = 8;
+const MESSAGES_PER_WAVE = 60;
+const DOMAINS = ['www.reddit.com', 'x.com', 'www.youtube.com', 'bsky.app'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('concurrent engagement messages lose no time', async () => {
+  const day = localDayKey();
+  const noon = startOfLocalDay(day) + 12 * 60 * 60 * 1000;
+  const expectedByDomain = {};
+  let expectedMs = 0;
+  const replies = [];
+
+  for (let wave = 0; wave < WAVES; wave++) {
+    for (let i = 0; i < MESSAGES_PER_WAVE; i++) {
+      const n = wave * MESSAGES_PER_WAVE + i;
+      const domain = DOMAINS[n % DOMAINS.length];
+      const deltaMs = 1 + ((n * 7919) % 4999);
+      expectedMs += deltaMs;
+      expectedByDomain[domain] = (expectedByDomain[domain] || 0) + deltaMs;
+      replies.push(sendMessage(chrome, {
+        type: 'engagement_time',
+        domain,
+        deltaMs,
+        contentType: 'short_text',
+        capturedAt: noon + n,
+        postId: `${domain}/post/${n % 90}`,
+        newPost: n < 90,
+        title: `Post number ${n % 90} about something`
+      }));
+    }
+    // Waves overlap the 250 ms batching window, so some batches are still
+    // being written while the next messages arrive
+    await sleep(wave % 2 === 0 ? 40 : 300);
+  }
+
+  const results = await Promise.all(replies);
+  assert.ok(results.every(reply => reply.success), 'every message was stored');
+
+  const events = await getEventsForDay(day);
+  assert.equal(events.length, WAVES * MESSAGES_PER_WAVE);
+  assert.equal(events.reduce((sum, event) => sum + event.deltaMs, 0), expectedMs);
+
+  const record = await getDaily(day);
+  assert.equal(record.totalMs, expectedMs);
+  for (const [domain, ms] of Object.entries(expectedByDomain)) {
+    assert.equal(record.byDomain[domain], ms, domain);
+  }
+  const hourMs = Object.values(record.byHour).reduce((sum, hour) => sum + hour.totalMs, 0);
+  assert.equal(hourMs, expectedMs);
+
+  const summary = await sendMessage(chrome, { type: 'get_today_summary' });
+  assert.equal(summary.totalMs, expectedMs);
+});
+
+test('a failed item rejects only its own enqueue', async () => {
+  const { WriteQueue } = await import('../write-queue.js');
+  const queue = new WriteQueue({
+    windowMs: 10,
+    processBatch: async items => items.map(item => (item === 'bad' ? new Error('bad item') : item.length))
+  });
+  const results = await Promise.allSettled(['one', 'bad', 'three'].map(item => queue.enqueue(item)));
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+  assert.equal(results[0].value, 3);
+  assert.equal(results[1].reason.message, 'bad item');
+});
+
+test('a failed batch is reported to the sender', async () => {
+  mock.method(console, 'error', () => {});
+  const set = mock.method(chrome.storage.local, 'set', async () => {
+    throw new Error('QUOTA_BYTES quota exceeded');
+  });
+  try {
+    const reply = await sendMessage(chrome, {
+      type: 'engagement_time',
+      domain: 'x.com',
+      deltaMs: 1000,
+      contentType: 'short_text'
+    });
+    assert.deepEqual(reply, { success: false, error: 'QUOTA_BYTES quota exceeded' });
+  } finally {
+    set.mock.restore();
+  }
+});
@@ -0,0 +1,58 @@
+// time-buckets.js
+// Day and hour keys in the user's local time zone.
+// Keys are always derived from the event's own timestamp with the local Date
+// getters, so DST transitions are handled by the platform and a time zone
+// change only affects events recorded after it. On the autumn DST change the
+// repeated hour shares one bucket; on the spring change one hour has none.
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// YYYY-MM-DD of the timestamp in local time
+export function localDayKey(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Local hour of day, 0-23
+export function localHour(timestamp = Date.now()) {
+  return new Date(timestamp).getHours();
+}
+
+// IANA name of the current time zone, e.g. "Europe/Madrid"
+export function currentTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+// Timestamp of local midnight at the start of the given YYYY-MM-DD day
+export function startOfLocalDay(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+}
+
+// True for a well-formed YYYY-MM-DD key
+export function isDayKey(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// The day `count` days after (or before, if negative) the given day
+export function addDays(dayKey, count) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return localDayKey(new Date(year, month - 1, day + count).getTime());
+}
+
+// Day key of the Monday starting the week that contains the given day
+export function weekStartKey(dayKey) {
+  const weekday = new Date(startOfLocalDay(dayKey)).getDay(); // 0 = Sunday
+  return addDays(dayKey, -((weekday + 6) % 7));
+}
+
+// YYYY-MM of the given day
+export function monthKey(dayKey) {
+  return dayKey.slice(0, 7);
+}
@@ -0,0 +1,76 @@
+// topic-corrections.js
+// Topics the user corrected in the options page's review list. Corrections
+// are kept in chrome.storage under `topic_corrections` as
+// [{ title, topic, previousTopic, correctedAt }], newest last, one per title.
+// Each one is added to the Naive Bayes model right away (see background.js)
+// and to the training data whenever the models are retrained, so a retrain
+// keeps what the corrections taught.
+
+export const CORRECTIONS_KEY = 'topic_corrections';
+const MAX_CORRECTIONS = 2000;
+export const REVIEW_DAYS = 7;
+export const MAX_REVIEW_ITEMS = 50;
+
+export async function getCorrections() {
+  const stored = await chrome.storage.local.get([CORRECTIONS_KEY]);
+  return Array.isArray(stored[CORRECTIONS_KEY]) ? stored[CORRECTIONS_KEY] : [];
+}
+
+// Store a correction, replacing an earlier one for the same title
+export async function addCorrection(correction) {
+  const corrections = (await getCorrections()).filter(entry => entry.title !== correction.title);
+  corrections.push({ ...correction, correctedAt: Date.now() });
+  await chrome.storage.local.set({ [CORRECTIONS_KEY]: corrections.slice(-MAX_CORRECTIONS) });
+}
+
+// Corrections as training records ({ text, label })
+export function correctionRecords(corrections) {
+  return (Array.isArray(corrections) ? corrections : [])
+    .filter(entry => entry.title && entry.topic)
+    .map(entry => ({ text: entry.title, label: entry.topic }));
+}
+
+// Titles to review from a list of events: one item per title with every
+// event showing it, least confident first. Titles the user already labelled
+// are left out; titles classified before confidences were recorded sort
+// last.
+export function buildReviewItems(events, limit = MAX_REVIEW_ITEMS) {
+  const byTitle = new Map();
+  for (const event of events) {
+    if (event.kind === 'media' || !event.title || !event.topic) {
+      continue;
+    }
+    let item = byTitle.get(event.title);
+    if (!item) {
+      item = {
+        title: event.title,
+        domain: event.domain,
+        topic: event.topic,
+        predictedTopic: event.predictedTopic || event.topic,
+        confidence: event.topicConfidence,
+        userLabelled: false,
+        eventIds: [],
+        totalMs: 0,
+        lastSeenAt: 0
+      };
+      byTitle.set(event.title, item);
+    }
+    item.eventIds.push(event.id);
+    item.totalMs += event.deltaMs;
+    item.userLabelled = item.userLabelled || event.topicSource === 'user';
+    if (event.ts >= item.lastSeenAt) {
+      item.lastSeenAt = event.ts;
+      Object.assign(item, {
+        topic: event.topic,
+        predictedTopic: event.predictedTopic || event.topic,
+        confidence: event.topicConfidence
+      });
+    }
+  }
+
+  const confidence = item => (typeof item.confidence === 'number' ? item.confidence : Infinity);
+  return Array.from(byTitle.values())
+    .filter(item => !item.userLabelled)
+    .sort((a, b) => confidence(a) - confidence(b) || b.lastSeenAt - a.lastSeenAt)
+    .slice(0, limit);
+}
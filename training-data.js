@@ -0,0 +1,101 @@
+// training-data.js
+// Labelled posts from the bundled sampled_data.csv, used to train the
+// on-device classifiers. Columns: date, original_text, url, author_hash,
+// language, primary_theme, english_keywords, sentiment, main_emotion,
+// secondary_themes. Text fields may be quoted and span several lines.
+
+export const TRAINING_DATA_URL = 'sampled_data.csv';
+
+// Parse RFC 4180 CSV into an array of rows (arrays of strings)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Theme labels as the classifier uses them ('Technology' -> 'technology')
+export function normalizeLabel(label) {
+  return String(label || '').trim().toLowerCase();
+}
+
+// Training records ({ text, label, language, sentiment, emotion, date }) from
+// the CSV text. Rows without text or a theme are skipped.
+export function parseTrainingRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  const column = name => header.indexOf(name);
+  const columns = {
+    date: column('date'),
+    text: column('original_text'),
+    language: column('language'),
+    theme: column('primary_theme'),
+    sentiment: column('sentiment'),
+    emotion: column('main_emotion')
+  };
+  if (columns.text < 0 || columns.theme < 0) {
+    throw new Error('Training data is missing the original_text or primary_theme column');
+  }
+
+  const records = [];
+  for (const row of rows) {
+    const postText = (row[columns.text] || '').trim();
+    const label = normalizeLabel(row[columns.theme]);
+    if (!postText || !label) {
+      continue;
+    }
+    const sentiment = Number(row[columns.sentiment]);
+    records.push({
+      text: postText,
+      label,
+      language: row[columns.language] || null,
+      sentiment: Number.isFinite(sentiment) ? sentiment : null,
+      emotion: normalizeLabel(row[columns.emotion]) || null,
+      date: row[columns.date] || null
+    });
+  }
+  return records;
+}
+
+export async function loadTrainingRecords(url = TRAINING_DATA_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load training data (${response.status})`);
+  }
+  return parseTrainingRecords(await response.text());
+}
@@ -0,0 +1,86 @@
+// training-worker.js
+// Dedicated worker started by the options page to train the classifiers off
+// the page's main thread. Started with { type: 'train', embedding,
+// extraRecords, featureConfig }: Naive Bayes and the sentiment and emotion
+// models are always trained; with `embedding` the sample posts are also
+// embedded with MiniLM to train the embedding head.
+// `extraRecords` ({ text, label }, the custom topic examples) are added to
+// the training data of both topic models; `featureConfig` (see
+// text-features.js) is used by both Naive Bayes models. Posts back
+//   { type: 'progress', phase, done, total }
+//   { type: 'done', model, evaluation, sentimentModel, sentimentEvaluation,
+//     emotionModel, emotionEvaluation, embeddingModel?, embeddingEvaluation?,
+//     embeddingError? }
+//   { type: 'error', message }
+// Workers cannot reach chrome.storage, so the page saves the models.
+
+import { loadTrainingRecords } from './training-data.js';
+import { trainFromRecords } from './simple-classifier.js';
+import { trainEmbeddingFromRecords } from './embedding-classifier.js';
+import { trainSentimentFromRecords } from './sentiment-model.js';
+import { trainEmotionFromRecords } from './emotion-classifier.js';
+import { normalizeFeatureConfig } from './text-features.js';
+
+const EMBED_BATCH_SIZE = 32;
+
+function reportProgress(phase, done, total) {
+  self.postMessage({ type: 'progress', phase, done, total });
+}
+
+async function trainEmbeddingHead(records, extraRecords) {
+  // Loaded on demand: Naive Bayes training does not need transformers.js
+  const { embedBatch } = await import('./embedding-model.js');
+  const all = records.concat(extraRecords);
+  const embedded = [];
+  for (let start = 0; start < all.length; start += EMBED_BATCH_SIZE) {
+    const batch = all.slice(start, start + EMBED_BATCH_SIZE);
+    const embeddings = await embedBatch(batch.map(record => record.text));
+    batch.forEach((record, index) => embedded.push({ ...record, embedding: embeddings[index] }));
+    reportProgress('embedding', embedded.length, all.length);
+  }
+  return trainEmbeddingFromRecords(embedded.slice(0, records.length), embedded.slice(records.length));
+}
+
+self.addEventListener('message', async (event) => {
+  if (event.data?.type !== 'train') {
+    return;
+  }
+  try {
+    reportProgress('loading', 0, 1);
+    const records = await loadTrainingRecords();
+    reportProgress('loading', 1, 1);
+
+    const extraRecords = Array.isArray(event.data.extraRecords) ? event.data.extraRecords : [];
+    const featureConfig = normalizeFeatureConfig(event.data.featureConfig);
+    const { classifier, evaluation } = trainFromRecords(records, reportProgress, extraRecords, featureConfig);
+    const result = { type: 'done', model: classifier.toJSON(), evaluation };
+
+    reportProgress('sentiment', 0, 1);
+    const sentiment = trainSentimentFromRecords(records);
+    result.sentimentModel = sentiment.model.toJSON();
+    result.sentimentEvaluation = sentiment.evaluation;
+    reportProgress('sentiment', 1, 1);
+
+    reportProgress('emotion', 0, 1);
+    const emotion = trainEmotionFromRecords(records, featureConfig);
+    result.emotionModel = emotion.classifier.toJSON();
+    result.emotionEvaluation = emotion.evaluation;
+    reportProgress('emotion', 1, 1);
+
+    if (event.data.embedding) {
+      try {
+        const embeddingResult = await trainEmbeddingHead(records, extraRecords);
+        result.embeddingModel = embeddingResult.classifier.toJSON();
+        result.embeddingEvaluation = embeddingResult.evaluation;
+      } catch (error) {
+        // Naive Bayes stays usable without the embedding head
+        console.error('[Horizon] Embedding head training failed:', error);
+        result.embeddingError = error.message || String(error);
+      }
+    }
+    self.postMessage(result);
+  } catch (error) {
+    console.error('[Horizon] Training worker failed:', error);
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+});
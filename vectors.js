@@ -0,0 +1,37 @@
+// vectors.js
+// Helpers for MiniLM embedding vectors: compact binary storage and cosine
+// similarity.
+
+// Binary form of a vector: int8-quantized with one scale per vector (MiniLM
+// vectors are unit length, so the rounding error is well below what cosine
+// similarity notices), or raw Float32
+export function encodeVector(vector, format = 'int8') {
+  if (format === 'float32') {
+    return { format, scale: 1, data: Float32Array.from(vector).buffer };
+  }
+  const maxAbs = vector.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+  const data = Int8Array.from(vector, value => Math.round(value / scale));
+  return { format: 'int8', scale, data: data.buffer };
+}
+
+// Plain number array back from an encoded vector
+export function decodeVector(encoded) {
+  if (encoded.format === 'float32') {
+    return Array.from(new Float32Array(encoded.data));
+  }
+  return Array.from(new Int8Array(encoded.data), value => value * encoded.scale);
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
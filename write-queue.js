@@ -0,0 +1,62 @@
+// write-queue.js
+// Serialized, batching write pipeline for the background service worker.
+// Every mutation of stored data goes through one queue: items arriving within
+// `windowMs` of each other are handed to `processBatch` together, and batches
+// never overlap, so concurrent messages from several tabs cannot interleave
+// their get/modify/set cycles and lose increments. `processBatch` may return
+// one result per item; an Error in an item's place rejects just that item.
+
+export class WriteQueue {
+  constructor({ processBatch, windowMs = 250 }) {
+    this.processBatch = processBatch;
+    this.windowMs = windowMs;
+    this.pending = []; // { item, resolve, reject }
+    this.timer = null;
+    this.chain = Promise.resolve(); // tail of the serialized batch chain
+  }
+
+  // Queue one mutation; resolves once the batch containing it is written
+  enqueue(item) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ item, resolve, reject });
+      if (!this.timer) {
+        this.timer = setTimeout(() => this.drain(), this.windowMs);
+      }
+    });
+  }
+
+  // Write everything queued so far without waiting for the window to close
+  flush() {
+    return this.drain();
+  }
+
+  drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const batch = this.pending;
+    this.pending = [];
+    if (batch.length > 0) {
+      this.chain = this.chain.then(() => this.runBatch(batch));
+    }
+    return this.chain;
+  }
+
+  async runBatch(batch) {
+    try {
+      const results = await this.processBatch(batch.map(entry => entry.item));
+      batch.forEach((entry, index) => {
+        const result = results ? results[index] : undefined;
+        if (result instanceof Error) {
+          entry.reject(result);
+        } else {
+          entry.resolve(result);
+        }
+      });
+    } catch (error) {
+      console.error('[Horizon] Write batch failed:', error);
+      batch.forEach(entry => entry.reject(error));
+    }
+  }
+}